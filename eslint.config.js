@@ -19,6 +19,18 @@ export default [
         CustomEvent: 'readonly',
         console: 'readonly',
         setTimeout: 'readonly',
+        clearTimeout: 'readonly',
+        Blob: 'readonly',
+        URL: 'readonly',
+        Response: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        CompressionStream: 'readonly',
+        DecompressionStream: 'readonly',
+        btoa: 'readonly',
+        atob: 'readonly',
+        indexedDB: 'readonly',
+        fetch: 'readonly',
         THREE: 'readonly',
         Phaser: 'readonly',
         RAPIER: 'readonly',
@@ -34,6 +46,15 @@ export default [
       'no-console': 'off',
     },
   },
+  // Node.js environment for build scripts
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: {
+        process: 'readonly',
+      },
+    },
+  },
   // Node.js environment for test files
   {
     files: ['test/**/*.js', 'test/**/*.cjs'],
@@ -2,207 +2,454 @@
 
 /**
  * DSL Validator Script
- * 
- * Validates physics-config.json against the JSON schema.
+ *
+ * Validates physics-config.json and every level file in public/data/levels.
+ * Config files that `extends` another config are merged first; the merged
+ * result is validated and printed.
  * Can be run manually or integrated into build process.
- * 
+ *
  * Usage:
  *   node scripts/validate-dsl.js [path-to-config-file]
- * 
+ *
  * Exit codes:
  *   0 - Validation passed
  *   1 - Validation failed
  */
 
-import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname, resolve, relative } from 'path';
 import { fileURLToPath } from 'url';
+import {
+  validateSchema,
+  getSubschema,
+  joinPath,
+  formatError,
+} from '../src/dsl/schema-validator.js';
+import { DEFAULT_CONFIG } from '../src/dsl/loader.js';
+import { resolveExtends } from '../src/dsl/config-inheritance.js';
+import { assignEntityIds, toVector } from '../src/dsl/level-loader.js';
+import { COLLIDER_SIZES } from '../src/colliderSizes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '..');
 
 // Get config file path from command line or use default
-const configPath = process.argv[2] || join(projectRoot, 'public/data/physics-config.json');
+const configPath = resolve(process.argv[2] || join(projectRoot, 'public/data/physics-config.json'));
 const schemaPath = join(projectRoot, 'public/data/schemas/physics-config.schema.json');
+const levelsDir = join(projectRoot, 'public/data/levels');
+const levelSchemaPath = join(projectRoot, 'public/data/schemas/level.schema.json');
 
 /**
- * Validates a number is within a range
+ * Validates the physics configuration against its schema
  */
-function validateRange(value, min, max, exclusiveMin = false, exclusiveMax = false) {
-  if (exclusiveMin && value <= min) return false;
-  if (exclusiveMax && value >= max) return false;
-  if (!exclusiveMin && value < min) return false;
-  if (!exclusiveMax && value > max) return false;
-  return true;
+function validateConfig(config, schema) {
+  return validateSchema(config, schema).map(formatError);
 }
 
 /**
- * Validates player configuration
+ * Merges a config section over its defaults, the same way the runtime loader does
  */
-function validatePlayerConfig(player) {
-  const errors = [];
+function resolveSection(config, section) {
+  return { ...DEFAULT_CONFIG[section], ...config[section] };
+}
 
-  if (!player || typeof player !== 'object') {
-    errors.push('Player configuration must be an object');
-    return errors;
-  }
+/**
+ * Collider dimensions of entities whose size is fixed in code
+ */
+const FIXED_SIZES = {
+  ...COLLIDER_SIZES,
+  spawnPoint: COLLIDER_SIZES.player, // Where the player may appear
+};
 
-  // Check required properties
-  const required = ['friction', 'minForce', 'maxForce', 'linearDamping', 'angularDamping'];
-  for (const prop of required) {
-    if (!(prop in player)) {
-      errors.push(`Missing required property: player.${prop}`);
-    }
+/**
+ * Gets the collider dimensions of an entity, taking sensor sizes from the
+ * physics config and the entity's own overrides
+ */
+function getEntitySize(entity, config) {
+  // Portals use the teleporter sensor settings
+  const section = entity.type === 'portal' ? 'teleporter' : entity.type;
+  const physics = { ...resolveSection(config, section), ...entity.physics };
+  switch (entity.type) {
+    case 'key':
+      return toVector(physics.sensorSize);
+    case 'teleporter':
+    case 'portal':
+      return {
+        x: physics.sensorRadius * 2,
+        y: physics.sensorHeight,
+        z: physics.sensorRadius * 2,
+      };
+    default:
+      return FIXED_SIZES[entity.type] || toVector(entity.size, { x: 1, y: 1, z: 1 });
   }
+}
 
-  if (errors.length > 0) return errors;
-
-  // Validate friction (0.0 - 1.0)
-  if (typeof player.friction !== 'number' || isNaN(player.friction)) {
-    errors.push('player.friction must be a number');
-  } else if (!validateRange(player.friction, 0.0, 1.0)) {
-    errors.push(`player.friction must be between 0.0 and 1.0 (got ${player.friction})`);
+/**
+ * Validates an entity's physics overrides against the matching section of the
+ * physics config schema. Overrides are partial, so no property is required.
+ */
+function validatePhysicsOverrides(entity, path, physicsSchema) {
+  if (entity.physics === undefined) return [];
+
+  const sectionSchema = getSubschema(physicsSchema, entity.type);
+  if (!sectionSchema) {
+    return [
+      {
+        path: joinPath(path, 'physics'),
+        message: `${entity.type} has no physics settings to override`,
+      },
+    ];
   }
 
-  // Validate minForce (> 0)
-  if (typeof player.minForce !== 'number' || isNaN(player.minForce)) {
-    errors.push('player.minForce must be a number');
-  } else if (player.minForce <= 0) {
-    errors.push(`player.minForce must be greater than 0 (got ${player.minForce})`);
-  }
+  return validateSchema(
+    entity.physics,
+    { ...sectionSchema, required: [] },
+    physicsSchema,
+    joinPath(path, 'physics')
+  );
+}
 
-  // Validate maxForce (> 0 and >= minForce)
-  if (typeof player.maxForce !== 'number' || isNaN(player.maxForce)) {
-    errors.push('player.maxForce must be a number');
-  } else if (player.maxForce <= 0) {
-    errors.push(`player.maxForce must be greater than 0 (got ${player.maxForce})`);
-  } else if (player.maxForce < player.minForce) {
-    errors.push(
-      `player.maxForce (${player.maxForce}) must be >= player.minForce (${player.minForce})`
-    );
+/**
+ * Computes the axis-aligned bounds of an entity's collider, placed the same way
+ * src/main.js places it (y is measured from the platform top)
+ */
+function getEntityBounds(entity, platformTop, config) {
+  const position = toVector(entity.position);
+  const size = getEntitySize(entity, config);
+
+  let centerY;
+  switch (entity.type) {
+    case 'player':
+    case 'spawnPoint':
+    case 'block':
+      centerY = platformTop + position.y + size.y / 2;
+      break;
+    case 'goal':
+    case 'teleporter':
+    case 'portal':
+      centerY = platformTop + size.y / 2;
+      break;
+    default:
+      centerY = platformTop + position.y;
   }
 
-  // Validate linearDamping (>= 0)
-  if (typeof player.linearDamping !== 'number' || isNaN(player.linearDamping)) {
-    errors.push('player.linearDamping must be a number');
-  } else if (player.linearDamping < 0) {
-    errors.push(`player.linearDamping must be >= 0 (got ${player.linearDamping})`);
-  }
+  return {
+    min: { x: position.x - size.x / 2, y: centerY - size.y / 2, z: position.z - size.z / 2 },
+    max: { x: position.x + size.x / 2, y: centerY + size.y / 2, z: position.z + size.z / 2 },
+  };
+}
 
-  // Validate angularDamping (>= 0)
-  if (typeof player.angularDamping !== 'number' || isNaN(player.angularDamping)) {
-    errors.push('player.angularDamping must be a number');
-  } else if (player.angularDamping < 0) {
-    errors.push(`player.angularDamping must be >= 0 (got ${player.angularDamping})`);
-  }
+/**
+ * Checks whether two bounds overlap (touching faces do not count)
+ */
+function boundsOverlap(a, b) {
+  const epsilon = 1e-6;
+  return ['x', 'y', 'z'].every(
+    axis => a.min[axis] < b.max[axis] - epsilon && b.min[axis] < a.max[axis] - epsilon
+  );
+}
 
-  return errors;
+/**
+ * Gets the scene number of a level file name (level-2.json -> 2)
+ */
+function getSceneNumber(fileName) {
+  const match = /^level-(\d+)\.json$/.exec(fileName);
+  return match ? Number(match[1]) : null;
 }
 
 /**
- * Validates block configuration
+ * Validates the gameplay rules of a single, structurally valid level
  */
-function validateBlockConfig(block) {
+function validateLevelRules(level, levelFiles, config, physicsSchema) {
   const errors = [];
+  const entries = level.entities.map((entity, index) => ({
+    entity,
+    path: joinPath('entities', index),
+  }));
 
-  if (!block || typeof block !== 'object') {
-    errors.push('Block configuration must be an object');
+  for (const { entity, path } of entries) {
+    errors.push(...validatePhysicsOverrides(entity, path, physicsSchema));
+  }
+  if (errors.length > 0) return errors;
+
+  // Ids must be unique, including the ones generated for entities without an id
+  const ids = assignEntityIds(level.entities);
+  const firstPathById = new Map();
+  ids.forEach(({ id }, index) => {
+    const path = entries[index].path;
+    if (firstPathById.has(id)) {
+      errors.push({
+        path: joinPath(path, 'id'),
+        message: `entity id "${id}" is already used at ${firstPathById.get(id)}`,
+      });
+    } else {
+      firstPathById.set(id, path);
+    }
+  });
+
+  const platforms = entries.filter(({ entity }) => entity.type === 'platform');
+  if (platforms.length !== 1) {
+    errors.push({
+      path: 'entities',
+      message: `Level must contain exactly one platform (found ${platforms.length})`,
+    });
     return errors;
   }
 
-  // Check required properties
-  const required = ['linearDamping', 'angularDamping', 'friction', 'density'];
-  for (const prop of required) {
-    if (!(prop in block)) {
-      errors.push(`Missing required property: block.${prop}`);
+  const platform = platforms[0].entity;
+  const platformPosition = toVector(platform.position, { x: 0, y: -1, z: 0 });
+  const platformSize = toVector(platform.size, { x: 10, y: 0.5, z: 10 });
+  const platformTop = platformPosition.y + platformSize.y / 2;
+
+  // Keys with a spawn trigger are not in the world when the level starts
+  const placed = entries
+    .filter(({ entity }) => entity.type !== 'platform')
+    .filter(({ entity }) => !(entity.type === 'key' && entity.spawnOn))
+    .map(entry => ({ ...entry, bounds: getEntityBounds(entry.entity, platformTop, config) }));
+
+  // Entities must sit entirely on the platform
+  for (const { entity, path, bounds } of placed) {
+    const outside = ['x', 'z'].some(
+      axis =>
+        bounds.min[axis] < platformPosition[axis] - platformSize[axis] / 2 ||
+        bounds.max[axis] > platformPosition[axis] + platformSize[axis] / 2
+    );
+    if (outside) {
+      errors.push({ path, message: `${entity.type} is placed outside the platform bounds` });
     }
   }
 
-  if (errors.length > 0) return errors;
+  // Colliders must not start inside each other. The player only appears at one of its
+  // start position and the spawn points, so those may overlap each other
+  const playerPlaces = ['player', 'spawnPoint'];
+  for (let i = 0; i < placed.length; i++) {
+    for (let j = i + 1; j < placed.length; j++) {
+      const bothPlayerPlaces = [placed[i], placed[j]].every(({ entity }) =>
+        playerPlaces.includes(entity.type)
+      );
+      if (!bothPlayerPlaces && boundsOverlap(placed[i].bounds, placed[j].bounds)) {
+        errors.push({
+          path: placed[j].path,
+          message: `${placed[j].entity.type} overlaps ${placed[i].entity.type} at ${placed[i].path}`,
+        });
+      }
+    }
+  }
 
-  // Validate linearDamping (>= 0)
-  if (typeof block.linearDamping !== 'number' || isNaN(block.linearDamping)) {
-    errors.push('block.linearDamping must be a number');
-  } else if (block.linearDamping < 0) {
-    errors.push(`block.linearDamping must be >= 0 (got ${block.linearDamping})`);
+  const spawnPointIds = ids.filter(({ type }) => type === 'spawnPoint').map(({ id }) => id);
+
+  // Teleporters must lead to an existing level. Return links may leave out the target,
+  // but then do nothing until the player has come through another teleporter. Doors
+  // without a target lead to a spawn point in their own level, or win it
+  for (const { entity, path } of entries) {
+    if (!['teleporter', 'lockedDoor'].includes(entity.type)) continue;
+    if (entity.target === undefined) {
+      if (entity.type === 'teleporter' && !entity.returnLink) {
+        errors.push({ path, message: 'teleporter has no target scene' });
+      }
+    } else if (!levelFiles.includes(`level-${entity.target}.json`)) {
+      errors.push({
+        path: joinPath(path, 'target'),
+        message: `${entity.type} points at missing scene ${entity.target} (level-${entity.target}.json)`,
+      });
+    }
+    if (entity.returnSpawn !== undefined && !spawnPointIds.includes(entity.returnSpawn)) {
+      errors.push({
+        path: joinPath(path, 'returnSpawn'),
+        message: `${entity.type} returns to missing spawn point "${entity.returnSpawn}"`,
+      });
+    }
   }
 
-  // Validate angularDamping (>= 0)
-  if (typeof block.angularDamping !== 'number' || isNaN(block.angularDamping)) {
-    errors.push('block.angularDamping must be a number');
-  } else if (block.angularDamping < 0) {
-    errors.push(`block.angularDamping must be >= 0 (got ${block.angularDamping})`);
+  // Portals come in pairs that lead to each other
+  entries.forEach(({ entity, path }, index) => {
+    if (entity.type !== 'portal') return;
+    const pairIndex = ids.findIndex(({ id }) => id === entity.pair);
+    const pair = level.entities[pairIndex];
+    if (entity.pair === undefined) {
+      errors.push({ path, message: 'portal has no pair' });
+    } else if (pair?.type !== 'portal' || pairIndex === index) {
+      errors.push({
+        path: joinPath(path, 'pair'),
+        message: `portal pair "${entity.pair}" is not another portal in this level`,
+      });
+    } else if (pair.pair !== ids[index].id) {
+      errors.push({
+        path: joinPath(path, 'pair'),
+        message: `portal pair "${entity.pair}" does not lead back to "${ids[index].id}"`,
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates that every teleporter and door spawn point exists in the target level
+ * (for doors without a target, in the door's own level)
+ */
+function validateTravelSpawns(levels) {
+  const errors = new Map();
+
+  for (const [sceneNumber, level] of levels) {
+    level.entities.forEach((entity, index) => {
+      if (!['teleporter', 'lockedDoor'].includes(entity.type) || entity.spawn === undefined) return;
+      const targetScene =
+        entity.type === 'lockedDoor' ? (entity.target ?? sceneNumber) : entity.target;
+      const target = levels.get(targetScene);
+      if (!target) return; // A missing target level is already reported
+      const found = assignEntityIds(target.entities).some(
+        ({ type, id }) => type === 'spawnPoint' && id === entity.spawn
+      );
+      if (found) return;
+      if (!errors.has(sceneNumber)) errors.set(sceneNumber, []);
+      errors.get(sceneNumber).push({
+        path: joinPath(joinPath('entities', index), 'spawn'),
+        message: `${entity.type} leads to missing spawn point "${entity.spawn}" in scene ${targetScene}`,
+      });
+    });
   }
 
-  // Validate friction (0.0 - 1.0)
-  if (typeof block.friction !== 'number' || isNaN(block.friction)) {
-    errors.push('block.friction must be a number');
-  } else if (!validateRange(block.friction, 0.0, 1.0)) {
-    errors.push(`block.friction must be between 0.0 and 1.0 (got ${block.friction})`);
+  return errors;
+}
+
+/**
+ * Collects the scene numbers reachable from a level through teleporters and doors
+ */
+function getReachableScenes(startScene, levels) {
+  const reachable = new Set([startScene]);
+  const queue = [startScene];
+  while (queue.length > 0) {
+    const level = levels.get(queue.shift());
+    for (const entity of level?.entities || []) {
+      const leadsAway = ['teleporter', 'lockedDoor'].includes(entity.type);
+      if (leadsAway && entity.target !== undefined && !reachable.has(entity.target)) {
+        reachable.add(entity.target);
+        queue.push(entity.target);
+      }
+    }
+  }
+  return reachable;
+}
+
+/**
+ * Validates every door has a key with its lock the player can bring to it. The
+ * inventory is kept between scenes, so a key counts if it is in the door's level
+ * or in any level from which the door's level can be reached.
+ */
+function validateDoorKeys(levels) {
+  const errors = new Map();
+  const reachableFromKey = new Map(); // Lock name (null for plain keys) -> scene numbers
+
+  for (const [sceneNumber, level] of levels) {
+    for (const entity of level.entities.filter(({ type }) => type === 'key')) {
+      const lock = entity.lock ?? null;
+      if (!reachableFromKey.has(lock)) reachableFromKey.set(lock, new Set());
+      getReachableScenes(sceneNumber, levels).forEach(scene =>
+        reachableFromKey.get(lock).add(scene)
+      );
+    }
   }
 
-  // Validate density (> 0)
-  if (typeof block.density !== 'number' || isNaN(block.density)) {
-    errors.push('block.density must be a number');
-  } else if (block.density <= 0) {
-    errors.push(`block.density must be greater than 0 (got ${block.density})`);
+  for (const [sceneNumber, level] of levels) {
+    level.entities.forEach((entity, index) => {
+      if (entity.type !== 'lockedDoor') return;
+      const lock = entity.lock ?? null;
+      if (reachableFromKey.get(lock)?.has(sceneNumber)) return;
+      if (!errors.has(sceneNumber)) errors.set(sceneNumber, []);
+      errors.get(sceneNumber).push({
+        path: joinPath('entities', index),
+        message: lock
+          ? `lockedDoor has no "${lock}" key anywhere in the level or the levels leading to it`
+          : 'lockedDoor has no key anywhere in the level or the levels leading to it',
+      });
+    });
   }
 
   return errors;
 }
 
 /**
- * Main validation function
+ * Validates every level file in the levels directory
+ * @param {Object} config - Physics config the levels are played with
+ * @param {Object} physicsSchema - Physics config schema, used for per-entity overrides
+ * @returns {string[]} Error messages prefixed with the level file and JSON path
  */
-function validateConfig(config) {
+function validateLevels(config, physicsSchema) {
   const errors = [];
+  if (!existsSync(levelsDir)) return errors;
+
+  const schema = JSON.parse(readFileSync(levelSchemaPath, 'utf-8'));
+  const levelFiles = readdirSync(levelsDir).filter(file => file.endsWith('.json'));
+  const levels = new Map();
+
+  for (const file of levelFiles) {
+    console.log(`Validating: ${join(levelsDir, file)}`);
+    const fileErrors = [];
+    const sceneNumber = getSceneNumber(file);
+
+    let level;
+    try {
+      level = JSON.parse(readFileSync(join(levelsDir, file), 'utf-8'));
+    } catch (parseError) {
+      errors.push(`${file}: Invalid JSON: ${parseError.message}`);
+      continue;
+    }
 
-  if (!config || typeof config !== 'object') {
-    errors.push('Configuration must be an object');
-    return errors;
-  }
+    if (sceneNumber === null) {
+      fileErrors.push({ path: '', message: 'Level files must be named level-<number>.json' });
+    }
 
-  // Check for required top-level properties
-  if (!config.player) {
-    errors.push('Missing required property: player');
-  }
-  if (!config.block) {
-    errors.push('Missing required property: block');
-  }
+    fileErrors.push(...validateSchema(level, schema, schema));
+    if (fileErrors.length === 0) {
+      fileErrors.push(...validateLevelRules(level, levelFiles, config, physicsSchema));
+      levels.set(sceneNumber, level);
+    }
 
-  // Validate player config
-  if (config.player) {
-    const playerErrors = validatePlayerConfig(config.player);
-    errors.push(...playerErrors);
+    errors.push(...fileErrors.map(({ path, message }) => formatLevelError(file, path, message)));
   }
 
-  // Validate block config
-  if (config.block) {
-    const blockErrors = validateBlockConfig(config.block);
-    errors.push(...blockErrors);
+  for (const crossLevelErrors of [validateDoorKeys(levels), validateTravelSpawns(levels)]) {
+    for (const [sceneNumber, levelErrors] of crossLevelErrors) {
+      const file = `level-${sceneNumber}.json`;
+      errors.push(...levelErrors.map(({ path, message }) => formatLevelError(file, path, message)));
+    }
   }
 
   return errors;
 }
 
+/**
+ * Formats a level error as "<file> at <path>: <message>"
+ */
+function formatLevelError(file, path, message) {
+  return path ? `${file} at ${path}: ${message}` : `${file}: ${message}`;
+}
+
 /**
  * Main execution
  */
 try {
-  // Read and parse config file
+  // Read and parse config file, merging in every file it extends
   console.log(`Validating: ${configPath}`);
-  const configContent = readFileSync(configPath, 'utf-8');
   let config;
+  let files;
   try {
-    config = JSON.parse(configContent);
-  } catch (parseError) {
-    console.error('❌ Invalid JSON:', parseError.message);
+    ({ config, files } = await resolveExtends(configPath, file =>
+      JSON.parse(readFileSync(file, 'utf-8'))
+    ));
+  } catch (loadError) {
+    console.error('❌', loadError.message);
     process.exit(1);
   }
 
-  // Validate configuration
-  const errors = validateConfig(config);
+  // Validate configuration and levels
+  const schema = JSON.parse(readFileSync(schemaPath, 'utf-8'));
+  const configErrors = validateConfig(config, schema);
+  const errors = [...configErrors];
+  // Level checks depend on the config values, so only run them against a valid config
+  if (configErrors.length === 0) errors.push(...validateLevels(config, schema));
 
   if (errors.length > 0) {
     console.error('\n❌ Validation failed:');
@@ -212,28 +459,22 @@ try {
   }
 
   console.log('✅ Validation passed!');
-  console.log('\nConfiguration summary:');
-  console.log('  Player:', {
-    friction: config.player.friction,
-    minForce: config.player.minForce,
-    maxForce: config.player.maxForce,
-    linearDamping: config.player.linearDamping,
-    angularDamping: config.player.angularDamping,
-  });
-  console.log('  Block:', {
-    linearDamping: config.block.linearDamping,
-    angularDamping: config.block.angularDamping,
-    friction: config.block.friction,
-    density: config.block.density,
-  });
+  if (files.length > 1) {
+    console.log(`\nResolved from: ${files.map(file => relative(projectRoot, file)).join(' -> ')}`);
+  }
+  console.log('\nConfiguration summary (including defaults):');
+  for (const [section, sectionSchema] of Object.entries(schema.properties)) {
+    if (sectionSchema.type !== 'object') continue;
+    const label = section.charAt(0).toUpperCase() + section.slice(1);
+    console.log(`  ${label}:`, resolveSection(config, section));
+  }
   process.exit(0);
 } catch (error) {
   if (error.code === 'ENOENT') {
-    console.error(`❌ File not found: ${configPath}`);
+    console.error(`❌ File not found: ${error.path || configPath}`);
     console.error('Please ensure the file exists or provide a path as an argument.');
   } else {
     console.error('❌ Error:', error.message);
   }
   process.exit(1);
 }
-
@@ -12,6 +12,7 @@ import { getThemeColor } from './theme.js';
  * @param {string} loseText - Text to display (will be translated)
  * @param {Function} onRetry - Callback function to execute when retry button is clicked
  * @param {THREE.Camera} camera - Camera for raycasting
+ * @returns {Promise<Function>} Removes the screen's page overlay and retry click handler
  */
 export async function showLoseScreen(scene, loseText, onRetry, camera) {
   // Clear old objects
@@ -72,10 +73,6 @@ export async function showLoseScreen(scene, loseText, onRetry, camera) {
   scene.add(sprite);
 
   // Create 2D background overlay (DOM-based, not 3D)
-  // Remove any existing overlay first
-  if (window.__loseScreenOverlay) {
-    window.__loseScreenOverlay.remove();
-  }
   const bgOverlay = document.createElement('div');
   Object.assign(bgOverlay.style, {
     position: 'fixed',
@@ -88,8 +85,6 @@ export async function showLoseScreen(scene, loseText, onRetry, camera) {
     pointerEvents: 'none',
   });
   document.body.appendChild(bgOverlay);
-  // Store reference for cleanup
-  window.__loseScreenOverlay = bgOverlay;
 
   // Create retry button
   const buttonCanvas = document.createElement('canvas');
@@ -142,8 +137,9 @@ export async function showLoseScreen(scene, loseText, onRetry, camera) {
   scene.add(btnSprite);
 
   // Add click handler for retry button
+  let handleClick = null;
   if (onRetry && camera) {
-    const handleClick = event => {
+    handleClick = event => {
       const mouse = new THREE.Vector2(
         (event.clientX / window.innerWidth) * 2 - 1,
         -(event.clientY / window.innerHeight) * 2 + 1
@@ -160,4 +156,9 @@ export async function showLoseScreen(scene, loseText, onRetry, camera) {
 
     window.addEventListener('click', handleClick);
   }
+
+  return () => {
+    bgOverlay.remove();
+    if (handleClick) window.removeEventListener('click', handleClick);
+  };
 }
@@ -11,6 +11,7 @@ import { getThemeColor } from './theme.js';
  * @param {THREE.Scene} scene - Three.js scene
  * @param {string} winText - Text to display (will be translated)
  * @param {number} moveCount - Number of moves taken to complete the game
+ * @returns {Promise<Function>} Removes the screen's page overlay
  */
 export async function showWinScreen(scene, winText, moveCount = 0) {
   // Clear old objects
@@ -87,8 +88,6 @@ export async function showWinScreen(scene, winText, moveCount = 0) {
     pointerEvents: 'none',
   });
   document.body.appendChild(bgOverlay);
-  // Store reference for cleanup
-  window.__winScreenOverlay = bgOverlay;
 
   // Create move count text
   const moveCanvas = document.createElement('canvas');
@@ -142,4 +141,6 @@ export async function showWinScreen(scene, winText, moveCount = 0) {
   moveSprite.position.set(0, -0.5, 0);
   moveSprite.renderOrder = 999;
   scene.add(moveSprite);
+
+  return () => bgOverlay.remove();
 }
@@ -0,0 +1,35 @@
+/**
+ * Base64 Module
+ *
+ * Converts bytes to and from base64 text, for binary data that has to be kept
+ * in JSON or pasted by hand (world snapshots and save share codes).
+ */
+
+/**
+ * Encodes bytes as a base64 string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+export function encodeBytes(bytes) {
+  let binary = '';
+  // Convert in chunks to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string produced by encodeBytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the text is not valid base64
+ */
+export function decodeBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
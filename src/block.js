@@ -1,17 +1,27 @@
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
+import { snapshotTransform, interpolateTransform } from './fixedStepLoop.js';
+import { getBodyState, setBodyState } from './worldSnapshot.js';
+import { disposeEntity } from './entityManager.js';
 
 export class Block {
-  constructor(world, scene, platformTop, config = {}) {
+  constructor(
+    world,
+    scene,
+    platformTop,
+    config = {},
+    position = { x: 0, y: 0, z: 0 },
+    size = { x: 1, y: 1, z: 1 }
+  ) {
     const { linearDamping = 0.2, angularDamping = 0.3, friction = 0.3, density = 0.5 } = config;
 
     this.scene = scene;
     this.world = world;
 
-    const blockGeometry = new THREE.BoxGeometry(1, 1, 1);
+    const blockGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
     const blockMaterial = new THREE.MeshBasicMaterial({ color: 0x00aaff });
     this.mesh = new THREE.Mesh(blockGeometry, blockMaterial);
-    this.mesh.position.y = platformTop + 0.5;
+    this.mesh.position.set(position.x, platformTop + position.y + size.y / 2, position.z);
     scene.add(this.mesh);
 
     const blockBodyDesc = RAPIER.RigidBodyDesc.dynamic()
@@ -19,18 +29,44 @@ export class Block {
       .setAngularDamping(angularDamping)
       .setTranslation(this.mesh.position.x, this.mesh.position.y, this.mesh.position.z);
     this.body = world.createRigidBody(blockBodyDesc);
-    const blockColliderDesc = RAPIER.ColliderDesc.cuboid(0.5, 0.5, 0.5)
+    const blockColliderDesc = RAPIER.ColliderDesc.cuboid(size.x / 2, size.y / 2, size.z / 2)
       .setFriction(friction)
       .setDensity(density);
     this.collider = world.createCollider(blockColliderDesc, this.body);
+
+    // Transform before the latest physics step, used to interpolate the mesh
+    this.previousTransform = snapshotTransform(this.body);
+  }
+
+  /**
+   * Re-applies physics settings to the live body and collider
+   * Position and velocity are left untouched.
+   * @param {Object} config - Block configuration (damping, friction, density)
+   */
+  applyConfig({ linearDamping, angularDamping, friction, density }) {
+    this.body.setLinearDamping(linearDamping);
+    this.body.setAngularDamping(angularDamping);
+    this.collider.setFriction(friction);
+    this.collider.setDensity(density);
+    this.body.wakeUp();
+  }
+
+  /**
+   * Records the current body transform as the start of the next interpolation
+   * Call before each physics step, and after teleporting the body.
+   */
+  savePreviousTransform() {
+    if (this.body) this.previousTransform = snapshotTransform(this.body);
   }
 
-  updateVisual() {
+  /**
+   * Moves the mesh to match the physics body
+   * @param {number} alpha - Interpolation factor between the previous and current
+   *   physics step (optional, defaults to 1: the current state)
+   */
+  updateVisual(alpha = 1) {
     if (!this.body || !this.mesh) return;
-    const pos = this.body.translation();
-    this.mesh.position.set(pos.x, pos.y, pos.z);
-    const rot = this.body.rotation();
-    this.mesh.quaternion.set(rot.x, rot.y, rot.z, rot.w);
+    interpolateTransform(this.mesh, this.previousTransform, this.body, alpha);
   }
 
   isAtGoal(goalMesh, threshold = 0.8) {
@@ -43,25 +79,27 @@ export class Block {
     return dist < threshold;
   }
 
-  isOffPlatform(platformHalfSize) {
-    if (!this.body) return false;
-    const pos = this.body.translation();
-    return (
-      pos.x < -platformHalfSize ||
-      pos.x > platformHalfSize ||
-      pos.z < -platformHalfSize ||
-      pos.z > platformHalfSize
-    );
+  isOffPlatform(platform) {
+    if (!this.body || !platform) return false;
+    return !platform.contains(this.body.translation());
   }
 
   // Save/load helpers
-  getSaveData() {
-    const pos = this.body.translation();
-    return { x: pos.x, y: pos.y, z: pos.z };
+  serialize() {
+    return getBodyState(this.body);
   }
 
-  loadFromData(data) {
+  deserialize(data) {
     if (!data) return;
-    this.body.setTranslation({ x: data.x, y: data.y, z: data.z }, true);
+    setBodyState(this.body, data);
+    this.savePreviousTransform();
+    this.updateVisual();
+  }
+
+  /**
+   * Removes the block from the physics world and the scene
+   */
+  dispose() {
+    disposeEntity(this);
   }
 }
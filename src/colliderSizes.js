@@ -0,0 +1,18 @@
+/**
+ * Collider Sizes
+ *
+ * Dimensions of the entities whose size is fixed in code instead of set in
+ * level files. The entity classes build their meshes and colliders from them,
+ * and scripts/validate-dsl.js checks level layouts with them, so this module
+ * runs in Node and must not import three or Rapier.
+ */
+
+/**
+ * Full size of each fixed-size entity's collider (and mesh), by entity type
+ * @type {Object<string, {x: number, y: number, z: number}>}
+ */
+export const COLLIDER_SIZES = {
+  player: { x: 0.6, y: 0.6, z: 0.6 },
+  goal: { x: 1, y: 0.1, z: 1 },
+  lockedDoor: { x: 1, y: 2, z: 0.2 },
+};
@@ -0,0 +1,98 @@
+/**
+ * Config Inheritance Module
+ *
+ * Resolves the `extends` key of physics config files, so a preset can name
+ * another config and list only the values it changes. Shared by the runtime
+ * DSL loader and the validate-dsl.js build script; callers pass in how a file
+ * is read, so this module has no browser or Node dependencies.
+ */
+
+/**
+ * Checks whether a value is a plain JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is an object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merges two configs. Objects are merged key by key; any other value
+ * (numbers, strings, arrays) in the override replaces the base value.
+ * @param {Object} base - Config being extended
+ * @param {Object} override - Config whose values take precedence
+ * @returns {Object} New merged config (inputs are not modified)
+ */
+export function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Resolves an `extends` reference against the file that contains it
+ * @param {string} fromFile - Path or URL of the file with the `extends` key
+ * @param {string} reference - Value of `extends` (relative to fromFile, or starting with "/")
+ * @returns {string} Path of the referenced file
+ */
+export function resolveExtendsPath(fromFile, reference) {
+  if (reference.startsWith('/')) return reference;
+
+  const parts = fromFile.split('/').slice(0, -1);
+  for (const part of reference.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part !== '.' && part !== '') parts.push(part);
+  }
+  return parts.join('/');
+}
+
+/**
+ * Loads a config file and every file it extends, and merges them into one config
+ * @param {string} filePath - Path or URL of the config file
+ * @param {function(string): (Object|Promise<Object>)} readJson - Reads and parses a file
+ * @returns {Promise<{config: Object, files: string[]}>} Merged config (without `extends`)
+ *   and the files it was built from, starting with filePath
+ * @throws {Error} If a file cannot be read, `extends` is not a string, or the chain loops
+ */
+export async function resolveExtends(filePath, readJson) {
+  const files = [];
+  const layers = [];
+  let current = filePath;
+
+  while (current !== undefined) {
+    if (files.includes(current)) {
+      throw new Error(`Circular extends: ${[...files, current].join(' -> ')}`);
+    }
+
+    let config;
+    try {
+      config = await readJson(current);
+    } catch (error) {
+      const extendedBy = files.length > 0 ? ` (extended by ${files[files.length - 1]})` : '';
+      throw new Error(`Failed to load ${current}${extendedBy}: ${error.message}`);
+    }
+    files.push(current);
+
+    // Non-object files are passed through so schema validation can report them
+    if (!isPlainObject(config)) {
+      if (layers.length === 0) return { config, files };
+      throw new Error(`${current} must contain a JSON object`);
+    }
+    layers.unshift(config);
+
+    if (config.extends === undefined) break;
+    if (typeof config.extends !== 'string') {
+      throw new Error(
+        `${current}: extends must be a string (got ${JSON.stringify(config.extends)})`
+      );
+    }
+    current = resolveExtendsPath(current, config.extends);
+  }
+
+  const config = layers.reduce(deepMerge, {});
+  delete config.extends;
+  return { config, files };
+}
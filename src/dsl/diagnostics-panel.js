@@ -0,0 +1,109 @@
+/**
+ * DSL Diagnostics Panel
+ *
+ * Development-only overlay listing every DSL property that failed validation,
+ * why it failed, and the fallback value the game is using instead.
+ * Text is intentionally not translated: the panel is never shown in production builds.
+ */
+
+import { getThemeColor } from '../theme.js';
+
+let panel = null;
+
+/**
+ * Formats a value for display in the panel
+ * @param {*} value - Value to format
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  if (value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Removes the diagnostics panel if it is showing
+ */
+export function hideDiagnosticsPanel() {
+  if (panel) {
+    panel.remove();
+    panel = null;
+  }
+}
+
+/**
+ * Shows (or replaces) the diagnostics panel
+ * Hides the panel when there are no errors to report.
+ * @param {Array<Object>} errors - Config errors with path, message, value and fallback
+ * @param {string} title - Panel heading
+ */
+export function showDiagnosticsPanel(errors, title = 'Physics config errors') {
+  hideDiagnosticsPanel();
+  if (!errors || errors.length === 0) return;
+
+  panel = document.createElement('div');
+  Object.assign(panel.style, {
+    position: 'absolute',
+    bottom: '10px',
+    left: '10px',
+    maxWidth: '560px',
+    maxHeight: '40vh',
+    overflowY: 'auto',
+    padding: '10px 14px',
+    background: getThemeColor('messageBg'),
+    color: getThemeColor('textColor'),
+    border: '2px solid #cc0000',
+    borderRadius: '6px',
+    fontFamily: 'monospace',
+    fontSize: '12px',
+    zIndex: '3000',
+    direction: 'ltr',
+  });
+
+  const header = document.createElement('div');
+  Object.assign(header.style, {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '6px',
+    fontWeight: 'bold',
+  });
+  header.textContent = `⚠ ${title} (${errors.length})`;
+
+  const dismissButton = document.createElement('button');
+  dismissButton.textContent = '✕';
+  dismissButton.title = 'Dismiss';
+  Object.assign(dismissButton.style, {
+    marginLeft: '12px',
+    background: 'transparent',
+    color: getThemeColor('textColor'),
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '14px',
+  });
+  dismissButton.addEventListener('click', hideDiagnosticsPanel);
+  header.appendChild(dismissButton);
+  panel.appendChild(header);
+
+  const table = document.createElement('table');
+  table.style.borderCollapse = 'collapse';
+  const headerRow = table.insertRow();
+  for (const heading of ['Property', 'Problem', 'Value', 'Using']) {
+    const cell = document.createElement('th');
+    cell.textContent = heading;
+    Object.assign(cell.style, { textAlign: 'left', paddingRight: '10px' });
+    headerRow.appendChild(cell);
+  }
+
+  for (const error of errors) {
+    const row = table.insertRow();
+    const using = error.fallback === undefined ? 'ignored' : formatValue(error.fallback);
+    for (const text of [error.path || '(file)', error.message, formatValue(error.value), using]) {
+      const cell = row.insertCell();
+      cell.textContent = text;
+      Object.assign(cell.style, { paddingRight: '10px', verticalAlign: 'top' });
+    }
+  }
+
+  panel.appendChild(table);
+  document.body.appendChild(panel);
+}
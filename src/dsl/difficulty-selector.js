@@ -0,0 +1,103 @@
+/**
+ * Difficulty selector UI component
+ * Creates a dropdown menu for switching between the physics presets
+ */
+
+import { PHYSICS_PRESETS, getCurrentPreset, setPhysicsPreset } from './physics-config.js';
+import { t } from '../i18n/translations.js';
+import { isRTL } from '../i18n/rtl-utils.js';
+import { events } from '../events.js';
+
+/**
+ * Creates and returns a difficulty selector dropdown element
+ * Emits `physics:presetChanged` once the new preset has loaded.
+ * @returns {HTMLElement} Difficulty selector dropdown element
+ */
+export function createDifficultySelector() {
+  const container = document.createElement('div');
+
+  const updatePosition = () => {
+    const rtl = isRTL();
+    Object.assign(container.style, {
+      position: 'absolute',
+      top: '90px',
+      right: rtl ? 'auto' : '10px',
+      left: rtl ? '10px' : 'auto',
+      zIndex: '2000',
+      fontFamily: 'sans-serif',
+      direction: rtl ? 'rtl' : 'ltr',
+    });
+  };
+  updatePosition();
+
+  const label = document.createElement('label');
+  label.textContent = t('ui.difficulty') + ' ';
+  label.style.color = 'white';
+  label.style.marginRight = '8px';
+  label.style.fontSize = '14px';
+  container.appendChild(label);
+
+  const select = document.createElement('select');
+  Object.assign(select.style, {
+    padding: '6px 12px',
+    fontSize: '14px',
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    color: 'white',
+    border: '2px solid rgba(255, 255, 255, 0.5)',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    outline: 'none',
+  });
+
+  // Add hover effect
+  select.addEventListener('mouseenter', () => {
+    select.style.borderColor = 'rgba(255, 255, 255, 0.8)';
+    select.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+  });
+  select.addEventListener('mouseleave', () => {
+    select.style.borderColor = 'rgba(255, 255, 255, 0.5)';
+    select.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+  });
+
+  // Populate dropdown with available presets
+  const populateOptions = () => {
+    select.innerHTML = '';
+    for (const preset of Object.keys(PHYSICS_PRESETS)) {
+      const option = document.createElement('option');
+      option.value = preset;
+      option.textContent = t(`difficulty.${preset}`);
+      select.appendChild(option);
+    }
+    select.value = getCurrentPreset();
+  };
+  populateOptions();
+
+  // Update text and position when language changes
+  events.on('language:changed', () => {
+    label.textContent = t('ui.difficulty') + ' ';
+    populateOptions();
+    updatePosition();
+  });
+
+  // Handle preset change
+  select.addEventListener('change', async e => {
+    const preset = e.target.value;
+    const config = await setPhysicsPreset(preset);
+
+    // Let the game rebuild its physics entities
+    events.emit('physics:presetChanged', { preset, config });
+  });
+
+  container.appendChild(select);
+  return container;
+}
+
+/**
+ * Initializes the difficulty selector and adds it to the page
+ * @returns {HTMLElement} Difficulty selector element
+ */
+export function initDifficultySelector() {
+  const selector = createDifficultySelector();
+  document.body.appendChild(selector);
+  return selector;
+}
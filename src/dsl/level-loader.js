@@ -0,0 +1,119 @@
+/**
+ * Level Loader Module
+ *
+ * Handles loading of level DSL files from public/data/levels/.
+ * Each level lists the entities that make up a scene (type, position, size and
+ * per-entity physics overrides) so levels can be added without touching main.js.
+ */
+
+/**
+ * Entity types a level file may contain
+ */
+export const ENTITY_TYPES = [
+  'platform',
+  'player',
+  'block',
+  'goal',
+  'teleporter',
+  'portal',
+  'key',
+  'lockedDoor',
+  'spawnPoint',
+];
+
+/**
+ * Gets the URL of a level file
+ * @param {number} sceneNumber - Scene number (1-based)
+ * @returns {string} URL of the level JSON file
+ */
+export function getLevelPath(sceneNumber) {
+  return `/data/levels/level-${sceneNumber}.json`;
+}
+
+/**
+ * Converts an optional {x, y, z} object from a level file into a plain vector
+ * @param {Object} value - Vector-like object from the level file
+ * @param {Object} fallback - Value used for missing components
+ * @returns {{x: number, y: number, z: number}} Vector with all components set
+ */
+export function toVector(value, fallback = { x: 0, y: 0, z: 0 }) {
+  return {
+    x: typeof value?.x === 'number' ? value.x : fallback.x,
+    y: typeof value?.y === 'number' ? value.y : fallback.y,
+    z: typeof value?.z === 'number' ? value.z : fallback.z,
+  };
+}
+
+/**
+ * Gives every entity of a level an id: its own `id`, or its type followed by its number among
+ * the entities of that type (e.g. "block-2" for the second block)
+ * Generated ids follow the order of the level file, so they stay the same on every visit and
+ * can be used to find an entity's state in a save.
+ * @param {Array<Object>} entities - Entity definitions from a level file
+ * @returns {Array<Object>} Copies of the definitions with `id` set
+ */
+export function assignEntityIds(entities) {
+  const counts = {};
+  return entities.map(entity => {
+    counts[entity.type] = (counts[entity.type] ?? 0) + 1;
+    return { ...entity, id: entity.id ?? `${entity.type}-${counts[entity.type]}` };
+  });
+}
+
+/**
+ * Finds entity ids that are used more than once
+ * @param {Array<Object>} entities - Entity definitions with ids (see assignEntityIds)
+ * @returns {string[]} Duplicated ids
+ */
+export function findDuplicateIds(entities) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const { id } of entities) {
+    if (seen.has(id)) duplicates.add(id);
+    seen.add(id);
+  }
+  return [...duplicates];
+}
+
+/**
+ * Checks the basic structure of a level object
+ * @param {Object} level - Parsed level file
+ * @returns {boolean} True if the level can be built, false otherwise
+ */
+function validateLevel(level) {
+  if (!level || typeof level !== 'object' || !Array.isArray(level.entities)) {
+    return false;
+  }
+
+  return level.entities.every(
+    entity => entity && typeof entity === 'object' && ENTITY_TYPES.includes(entity.type)
+  );
+}
+
+/**
+ * Loads and parses a level file
+ * @param {number} sceneNumber - Scene number (1-based)
+ * @returns {Promise<Object>} Parsed level object
+ * @throws {Error} If the level file is missing or malformed
+ */
+export async function loadLevel(sceneNumber) {
+  const filePath = getLevelPath(sceneNumber);
+
+  const response = await fetch(filePath);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText} (${filePath})`);
+  }
+
+  const level = await response.json();
+  if (!validateLevel(level)) {
+    throw new Error(`[Level Loader] Invalid level file: ${filePath}`);
+  }
+
+  const entities = assignEntityIds(level.entities);
+  const duplicates = findDuplicateIds(entities);
+  if (duplicates.length > 0) {
+    throw new Error(`[Level Loader] Duplicate entity ids in ${filePath}: ${duplicates.join(', ')}`);
+  }
+
+  return { ...level, entities };
+}
@@ -2,14 +2,25 @@
  * DSL Loader Module
  *
  * Handles loading and parsing of DSL (Domain-Specific Language) configuration files.
- * Provides functions to load JSON DSL files and validate their structure.
+ * Provides functions to load JSON DSL files and validate them against the schema
+ * in public/data/schemas (see schema-validator.js). Files may `extends` another
+ * config; the merged result is validated (see config-inheritance.js).
  */
 
+import { validateSchema, getSubschema, formatError } from './schema-validator.js';
+import { resolveExtends } from './config-inheritance.js';
+
 /**
  * Default physics configuration values
  * Used as fallback when DSL file is missing or invalid
  */
 const DEFAULT_CONFIG = {
+  world: {
+    gravity: { x: 0.0, y: -9.81, z: 0.0 },
+    timestep: 1 / 60,
+    solverIterations: 4,
+    maxStepsPerFrame: 5,
+  },
   player: {
     friction: 0.75,
     minForce: 1.0,
@@ -23,104 +34,211 @@ const DEFAULT_CONFIG = {
     friction: 0.3,
     density: 0.5,
   },
+  platform: {
+    friction: 0.5,
+  },
+  goal: {
+    threshold: 0.8,
+  },
+  key: {
+    sensorSize: { x: 1.0, y: 0.2, z: 0.3 },
+  },
+  teleporter: {
+    sensorRadius: 0.5,
+    sensorHeight: 0.8,
+  },
 };
 
 /**
- * Validates a player configuration object
- * @param {Object} playerConfig - Player configuration to validate
- * @returns {boolean} True if valid, false otherwise
+ * URL of the JSON schema that describes the physics configuration
  */
-function validatePlayerConfig(playerConfig) {
-  if (!playerConfig || typeof playerConfig !== 'object') {
-    return false;
-  }
+const SCHEMA_PATH = '/data/schemas/physics-config.schema.json';
 
-  const requiredProps = ['friction', 'minForce', 'maxForce', 'linearDamping', 'angularDamping'];
-  for (const prop of requiredProps) {
-    if (typeof playerConfig[prop] !== 'number' || isNaN(playerConfig[prop])) {
-      return false;
-    }
+// Cache for the loaded schema
+let physicsSchema = null;
+
+/**
+ * Fetches and parses a JSON file
+ * @param {string} filePath - URL of the JSON file
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJson(filePath) {
+  // Revalidate every time so edited files are picked up when reloading
+  const response = await fetch(filePath, { cache: 'no-cache' });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
   }
 
-  // Validate ranges
-  if (playerConfig.friction < 0 || playerConfig.friction > 1) return false;
-  if (playerConfig.minForce <= 0) return false;
-  if (playerConfig.maxForce <= 0 || playerConfig.maxForce < playerConfig.minForce) return false;
-  if (playerConfig.linearDamping < 0) return false;
-  if (playerConfig.angularDamping < 0) return false;
+  return response.json();
+}
 
-  return true;
+/**
+ * Loads the physics configuration schema (cached after first load)
+ * @returns {Promise<Object>} Parsed JSON schema
+ */
+async function loadPhysicsSchema() {
+  if (!physicsSchema) {
+    physicsSchema = await fetchJson(SCHEMA_PATH);
+  }
+  return physicsSchema;
+}
+
+/**
+ * Validates one section (e.g. "player") of a configuration object against the schema
+ * @param {Object} config - Complete configuration object
+ * @param {string} section - Top-level section name
+ * @returns {Array<Object>} Validation errors (empty if valid)
+ */
+function validateSection(config, section) {
+  const sectionSchema = getSubschema(physicsSchema, section);
+  if (!sectionSchema) return [{ path: section, message: 'Unknown section' }];
+  return validateSchema(config?.[section], sectionSchema, physicsSchema, section);
 }
 
 /**
- * Validates a block configuration object
- * @param {Object} blockConfig - Block configuration to validate
- * @returns {boolean} True if valid, false otherwise
+ * A single problem found while loading the configuration
+ * @typedef {Object} ConfigError
+ * @property {string} path - JSON path of the failing property (e.g. "player.friction")
+ * @property {string} message - Why the property was rejected
+ * @property {*} value - The rejected value from the file
+ * @property {*} fallback - Value used instead (undefined if the property was ignored)
+ */
+
+/**
+ * Resolves one section of the configuration, replacing each failing property
+ * with its default value
+ * @param {Object} config - Complete configuration object
+ * @param {string} section - Top-level section name
+ * @returns {{values: Object, errors: ConfigError[]}} Usable section values and the problems found
  */
-function validateBlockConfig(blockConfig) {
-  if (!blockConfig || typeof blockConfig !== 'object') {
-    return false;
+function resolveSection(config, section) {
+  const defaults = DEFAULT_CONFIG[section];
+
+  // Optional sections (see "required" in the schema) may be left out entirely
+  if (config?.[section] === undefined && !physicsSchema.required?.includes(section)) {
+    return { values: defaults, errors: [] };
   }
 
-  const requiredProps = ['linearDamping', 'angularDamping', 'friction', 'density'];
-  for (const prop of requiredProps) {
-    if (typeof blockConfig[prop] !== 'number' || isNaN(blockConfig[prop])) {
-      return false;
-    }
+  const errors = validateSection(config, section);
+  if (errors.length === 0) {
+    return { values: { ...defaults, ...config[section] }, errors };
+  }
+
+  const value = config?.[section];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { values: defaults, errors: errors.map(error => ({ ...error, fallback: defaults })) };
   }
 
-  // Validate ranges
-  if (blockConfig.linearDamping < 0) return false;
-  if (blockConfig.angularDamping < 0) return false;
-  if (blockConfig.friction < 0 || blockConfig.friction > 1) return false;
-  if (blockConfig.density <= 0) return false;
+  const values = { ...defaults, ...value };
+  const resolvedErrors = errors.map(error => {
+    const key = error.path.slice(section.length + 1).split(/[.[]/)[0];
+    if (key in defaults) {
+      values[key] = defaults[key];
+      return { ...error, fallback: defaults[key] };
+    }
+    delete values[key];
+    return { ...error, fallback: undefined };
+  });
+
+  // A default can still break a rule that spans properties (maxForce >= minForce)
+  if (validateSection({ [section]: values }, section).length > 0) {
+    resolvedErrors.push({
+      path: section,
+      message: 'still invalid after falling back, using all defaults',
+      value,
+      fallback: defaults,
+    });
+    return { values: defaults, errors: resolvedErrors };
+  }
 
-  return true;
+  return { values, errors: resolvedErrors };
 }
 
 /**
- * Validates the complete physics configuration object
- * @param {Object} config - Complete configuration object
- * @returns {boolean} True if valid, false otherwise
+ * Resolves a parsed configuration file into a usable configuration
+ * @param {Object} config - Parsed configuration file
+ * @returns {{config: Object, errors: ConfigError[]}} Usable configuration and the problems found
  */
-function validateConfig(config) {
-  if (!config || typeof config !== 'object') {
-    return false;
+function resolveConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return {
+      config: DEFAULT_CONFIG,
+      errors: [{ path: '', message: 'must be an object', value: config, fallback: DEFAULT_CONFIG }],
+    };
+  }
+
+  const resolved = {};
+  const errors = [];
+
+  // Unknown top-level sections are ignored
+  for (const error of validateSchema(config, physicsSchema)) {
+    if (!error.path.includes('.') && !(error.path in DEFAULT_CONFIG)) {
+      errors.push({ ...error, fallback: undefined });
+    }
   }
 
-  return validatePlayerConfig(config.player) && validateBlockConfig(config.block);
+  for (const section of Object.keys(DEFAULT_CONFIG)) {
+    const { values, errors: sectionErrors } = resolveSection(config, section);
+    resolved[section] = values;
+    errors.push(...sectionErrors);
+  }
+
+  return { config: resolved, errors };
 }
 
 /**
  * Loads and parses the physics configuration DSL file
  * Uses fetch to load JSON file at runtime (works with files outside src/)
+ * Invalid properties fall back to their defaults; every fallback is reported in `errors`.
  * @param {string} filePath - Path to the JSON DSL file (relative to project root or absolute URL)
- * @returns {Promise<Object>} Parsed configuration object, or default config on error
+ * @returns {Promise<{config: Object, errors: ConfigError[], files: string[]}>} Usable
+ *   configuration, the problems found, and the files it was merged from
  */
 export async function loadPhysicsConfig(filePath = '/data/physics-config.json') {
   try {
-    // Fetch JSON file (works for files in public/ or data/ directories)
-    // eslint-disable-next-line no-undef
-    const response = await fetch(filePath);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+    await loadPhysicsSchema();
 
-    const config = await response.json();
+    // Fetch JSON file and everything it extends (works for files in public/ or data/ directories)
+    const { config, files } = await resolveExtends(filePath, fetchJson);
+    const result = { ...resolveConfig(config), files };
 
-    // Validate the loaded configuration
-    if (validateConfig(config)) {
-      return config;
-    } else {
-      console.warn('[DSL Loader] Invalid configuration schema, using defaults');
-      return DEFAULT_CONFIG;
+    if (result.errors.length > 0) {
+      console.warn('[DSL Loader] Invalid configuration, falling back to defaults for:');
+      result.errors.forEach(error => console.warn(`  - ${formatError(error)}`));
     }
+    return result;
   } catch (error) {
     console.warn(`[DSL Loader] Failed to load physics config from ${filePath}:`, error);
     console.warn('[DSL Loader] Using default configuration');
-    return DEFAULT_CONFIG;
+    return {
+      config: DEFAULT_CONFIG,
+      errors: [
+        {
+          path: '',
+          message: `Failed to load ${filePath}: ${error.message}`,
+          value: undefined,
+          fallback: DEFAULT_CONFIG,
+        },
+      ],
+      files: [filePath],
+    };
+  }
+}
+
+/**
+ * Gets one section of the configuration with validation and defaults
+ * Missing properties are filled in from DEFAULT_CONFIG.
+ * @param {Object} config - Complete configuration object
+ * @param {string} section - Top-level section name (e.g. "world", "goal")
+ * @returns {Object} Section configuration object
+ */
+export function getSectionConfig(config, section) {
+  const values = { ...DEFAULT_CONFIG[section], ...config?.[section] };
+  if (physicsSchema && validateSection({ [section]: values }, section).length === 0) {
+    return values;
   }
+  return DEFAULT_CONFIG[section];
 }
 
 /**
@@ -129,10 +247,7 @@ export async function loadPhysicsConfig(filePath = '/data/physics-config.json')
  * @returns {Object} Player configuration object
  */
 export function getPlayerConfig(config) {
-  if (validatePlayerConfig(config?.player)) {
-    return config.player;
-  }
-  return DEFAULT_CONFIG.player;
+  return getSectionConfig(config, 'player');
 }
 
 /**
@@ -141,10 +256,7 @@ export function getPlayerConfig(config) {
  * @returns {Object} Block configuration object
  */
 export function getBlockConfig(config) {
-  if (validateBlockConfig(config?.block)) {
-    return config.block;
-  }
-  return DEFAULT_CONFIG.block;
+  return getSectionConfig(config, 'block');
 }
 
 /**
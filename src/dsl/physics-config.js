@@ -3,16 +3,40 @@
  *
  * Provides convenient access to physics configuration loaded from DSL files.
  * Handles loading, caching, and provides default values if DSL file is missing or invalid.
+ * The active file can be switched at runtime between the presets in PHYSICS_PRESETS.
  */
 
 import {
   loadPhysicsConfig,
   getPlayerConfig as getPlayerConfigFromLoader,
   getBlockConfig as getBlockConfigFromLoader,
+  getSectionConfig,
 } from './loader.js';
+import { createStorage } from '../storage.js';
+
+/**
+ * Physics presets that can be selected at runtime, mapped to their DSL files
+ */
+export const PHYSICS_PRESETS = {
+  default: '/data/physics-config.json',
+  easy: '/data/examples/physics-config-easy.json',
+  hard: '/data/examples/physics-config-hard.json',
+  heavy: '/data/examples/physics-config-heavy.json',
+  ice: '/data/examples/physics-config-ice.json',
+  responsive: '/data/examples/physics-config-responsive.json',
+};
+
+// Storage for the preferred preset
+const preferences = createStorage('preferences');
+
+// Currently selected preset (restored from storage by initPhysicsPreset)
+let currentPreset = 'default';
+let presetRestorePromise = null;
 
 // Cache for loaded configuration
 let cachedConfig = null;
+let cachedErrors = [];
+let cachedFiles = [];
 let configLoadPromise = null;
 
 /**
@@ -20,6 +44,8 @@ let configLoadPromise = null;
  * @returns {Promise<Object>} Complete physics configuration object
  */
 async function loadConfig() {
+  await initPhysicsPreset();
+
   // Return cached config if already loaded
   if (cachedConfig) {
     return cachedConfig;
@@ -31,9 +57,15 @@ async function loadConfig() {
   }
 
   // Start loading configuration
-  configLoadPromise = loadPhysicsConfig('/data/physics-config.json')
-    .then(config => {
+  const preset = currentPreset;
+  configLoadPromise = loadPhysicsConfig(PHYSICS_PRESETS[preset])
+    .then(({ config, errors, files }) => {
+      // The preset was switched while this one was loading
+      if (preset !== currentPreset) return loadConfig();
+
       cachedConfig = config;
+      cachedErrors = errors;
+      cachedFiles = files;
       configLoadPromise = null;
       return config;
     })
@@ -41,7 +73,7 @@ async function loadConfig() {
       configLoadPromise = null;
       console.error('[Physics Config] Failed to load configuration:', error);
       // Return default config on error
-      return loadPhysicsConfig();
+      return loadPhysicsConfig().then(({ config }) => config);
     });
 
   return configLoadPromise;
@@ -74,6 +106,60 @@ export async function getBlockConfig() {
   return getBlockConfigFromLoader(config);
 }
 
+/**
+ * Gets world simulation configuration
+ * @returns {Promise<Object>} World configuration object with properties:
+ *   - gravity: {x, y, z}
+ *   - timestep: number (seconds per physics step)
+ *   - solverIterations: number
+ *   - maxStepsPerFrame: number
+ */
+export async function getWorldConfig() {
+  const config = await loadConfig();
+  return getSectionConfig(config, 'world');
+}
+
+/**
+ * Gets platform physics configuration
+ * @returns {Promise<Object>} Platform configuration object with properties:
+ *   - friction: number
+ */
+export async function getPlatformConfig() {
+  const config = await loadConfig();
+  return getSectionConfig(config, 'platform');
+}
+
+/**
+ * Gets goal configuration
+ * @returns {Promise<Object>} Goal configuration object with properties:
+ *   - threshold: number
+ */
+export async function getGoalConfig() {
+  const config = await loadConfig();
+  return getSectionConfig(config, 'goal');
+}
+
+/**
+ * Gets key configuration
+ * @returns {Promise<Object>} Key configuration object with properties:
+ *   - sensorSize: {x, y, z}
+ */
+export async function getKeyConfig() {
+  const config = await loadConfig();
+  return getSectionConfig(config, 'key');
+}
+
+/**
+ * Gets teleporter configuration
+ * @returns {Promise<Object>} Teleporter configuration object with properties:
+ *   - sensorRadius: number
+ *   - sensorHeight: number
+ */
+export async function getTeleporterConfig() {
+  const config = await loadConfig();
+  return getSectionConfig(config, 'teleporter');
+}
+
 /**
  * Preloads the physics configuration (useful for eager loading)
  * @returns {Promise<Object>} Complete physics configuration object
@@ -81,3 +167,100 @@ export async function getBlockConfig() {
 export async function preloadConfig() {
   return loadConfig();
 }
+
+/**
+ * Gets the problems found while loading the physics configuration
+ * @returns {Promise<Array<Object>>} Config errors, each with path, message, value and fallback
+ */
+export async function getConfigErrors() {
+  await loadConfig();
+  return cachedErrors;
+}
+
+/**
+ * Gets the name of the active physics preset
+ * @returns {string} Preset name (a key of PHYSICS_PRESETS)
+ */
+export function getCurrentPreset() {
+  return currentPreset;
+}
+
+/**
+ * Gets the URL of the active preset's DSL file
+ * @returns {string} URL of the physics configuration file in use
+ */
+export function getCurrentPresetPath() {
+  return PHYSICS_PRESETS[currentPreset];
+}
+
+/**
+ * Gets every file the active configuration was merged from
+ * (the preset file followed by the files it extends)
+ * @returns {string[]} File URLs, empty until the configuration has loaded
+ */
+export function getCurrentPresetFiles() {
+  return cachedFiles;
+}
+
+/**
+ * Switches to another physics preset, loads it and stores the choice
+ * @param {string} preset - Preset name (a key of PHYSICS_PRESETS)
+ * @returns {Promise<Object>} Complete physics configuration object of the new preset
+ */
+export async function setPhysicsPreset(preset) {
+  if (!PHYSICS_PRESETS[preset]) {
+    console.warn(`[Physics Config] Unknown preset: ${preset}`);
+    return loadConfig();
+  }
+
+  currentPreset = preset;
+
+  try {
+    await preferences.set('physicsPreset', preset);
+  } catch (error) {
+    console.warn('[Physics Config] Failed to store preset preference:', error);
+  }
+
+  return reloadPhysicsConfig();
+}
+
+/**
+ * Discards the cached configuration and loads the active preset again
+ * @returns {Promise<Object>} Complete physics configuration object
+ */
+export async function reloadPhysicsConfig() {
+  cachedConfig = null;
+  cachedErrors = [];
+  configLoadPromise = null;
+  return loadConfig();
+}
+
+/**
+ * Loads the preferred physics preset from storage
+ * @returns {Promise<string|null>} Saved preset name, or null if none is saved
+ */
+async function loadPreferredPreset() {
+  try {
+    const saved = await preferences.get('physicsPreset');
+    if (saved && PHYSICS_PRESETS[saved]) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('[Physics Config] Failed to load preset preference:', error);
+  }
+  return null;
+}
+
+/**
+ * Restores the preferred physics preset (only the first call has an effect)
+ * Call before reading getCurrentPreset() during startup; loading the configuration waits for it.
+ * @returns {Promise<void>}
+ */
+export function initPhysicsPreset() {
+  if (!presetRestorePromise) {
+    presetRestorePromise = loadPreferredPreset().then(saved => {
+      if (saved) currentPreset = saved;
+    });
+  }
+  return presetRestorePromise;
+}
@@ -0,0 +1,195 @@
+/**
+ * Schema Validator Module
+ *
+ * Small JSON Schema validator shared by the runtime DSL loader and the
+ * validate-dsl.js build script, so both enforce the rules in public/data/schemas.
+ * Has no browser or Node dependencies.
+ *
+ * Supported keywords: $ref (local), type (a name or a list of names), enum, anyOf, required,
+ * properties, additionalProperties (false or a schema), items, minimum, maximum,
+ * exclusiveMinimum and exclusiveMaximum. One non-standard keyword is supported for rules that plain
+ * JSON Schema cannot express:
+ *   - x-minimumProperty: name of a sibling property this value must be >= to
+ */
+
+/**
+ * Joins a JSON path and a property name or array index
+ * @param {string} path - Parent path (empty string for the root)
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Joined path (e.g. "player.friction" or "entities[2]")
+ */
+export function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Formats a validation error as "<path>: <message>"
+ * @param {{path: string, message: string}} error - Validation error
+ * @returns {string} Human-readable error
+ */
+export function formatError({ path, message }) {
+  return path ? `${path}: ${message}` : message;
+}
+
+/**
+ * Checks a value against a JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has that type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Resolves a local $ref (e.g. "#/definitions/vector") against the root schema
+ * @param {Object} schema - Schema that may contain a $ref
+ * @param {Object} rootSchema - Root schema the reference points into
+ * @returns {Object} Schema with the reference merged in
+ */
+function resolveRef(schema, rootSchema) {
+  if (!schema.$ref) return schema;
+
+  const target = schema.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node?.[key], rootSchema);
+  return { ...target, ...schema, $ref: undefined };
+}
+
+/**
+ * Gets the schema for a nested property path
+ * @param {Object} rootSchema - Root schema
+ * @param {...string} keys - Property names to descend through
+ * @returns {Object|null} Sub-schema, or null if the path is not described
+ */
+export function getSubschema(rootSchema, ...keys) {
+  let schema = rootSchema;
+  for (const key of keys) {
+    schema = resolveRef(schema, rootSchema).properties?.[key];
+    if (!schema) return null;
+  }
+  return resolveRef(schema, rootSchema);
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (or sub-schema) to validate against
+ * @param {Object} rootSchema - Root schema used to resolve $ref
+ * @param {string} path - JSON path of the value, used in error messages
+ * @returns {Array<{path: string, message: string, value: *}>} Validation errors (empty if valid)
+ */
+export function validateSchema(value, schema, rootSchema = schema, path = '') {
+  const errors = [];
+  schema = resolveRef(schema, rootSchema);
+
+  const fail = message => errors.push({ path, message, value });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      const expected = types.join(' or ');
+      fail(`must be a${/^[aeiou]/.test(expected) ? 'n' : ''} ${expected}`);
+      return errors;
+    }
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(
+      option => validateSchema(value, option, rootSchema, path).length === 0
+    );
+    if (!matches) {
+      // Name the alternatives after their definitions where they have one
+      const names = schema.anyOf.map(option =>
+        option.$ref ? option.$ref.split('/').pop() : [].concat(option.type).join(' or ')
+      );
+      fail(`must match one of: ${names.join(', ')}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum} (got ${value})`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be greater than ${schema.exclusiveMinimum} (got ${value})`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be less than ${schema.exclusiveMaximum} (got ${value})`);
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    for (const prop of schema.required || []) {
+      if (!(prop in value)) {
+        errors.push({
+          path: joinPath(path, prop),
+          message: 'Missing required property',
+          value: undefined,
+        });
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      const propSchema = schema.properties?.[key];
+      const propPath = joinPath(path, key);
+
+      if (!propSchema) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: propPath, message: 'Unknown property', value: propValue });
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(
+            ...validateSchema(propValue, schema.additionalProperties, rootSchema, propPath)
+          );
+        }
+        continue;
+      }
+
+      errors.push(...validateSchema(propValue, propSchema, rootSchema, propPath));
+
+      const minimumProperty = resolveRef(propSchema, rootSchema)['x-minimumProperty'];
+      if (
+        minimumProperty &&
+        typeof propValue === 'number' &&
+        typeof value[minimumProperty] === 'number' &&
+        propValue < value[minimumProperty]
+      ) {
+        errors.push({
+          path: propPath,
+          message: `must be >= ${joinPath(path, minimumProperty)} (${propValue} < ${value[minimumProperty]})`,
+          value: propValue,
+        });
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      errors.push(...validateSchema(item, schema.items, rootSchema, joinPath(path, index)))
+    );
+  }
+
+  return errors;
+}
@@ -0,0 +1,174 @@
+/**
+ * Entity Factories
+ *
+ * Registers a factory for every entity type a level file may contain (see
+ * ENTITY_TYPES in dsl/level-loader.js). A factory turns an entity definition
+ * from the level file into a game entity, using this build context:
+ * - world, scene: the physics world and Three.js scene to add the entity to
+ * - configs: physics config sections by type, from loadEntityConfigs()
+ * - entities: the EntityManager, for entities that depend on others
+ *
+ * Positions in level files are relative to the platform top (except for the
+ * platform itself), so the platform must be created before anything else.
+ * Spawn points are only markers in the level file and have no factory.
+ */
+
+import * as THREE from 'three';
+import { Player } from './player.js';
+import { Platform } from './platform.js';
+import { Block } from './block.js';
+import { Goal } from './goal.js';
+import { Key } from './key.js';
+import { Teleporter } from './teleporter.js';
+import { Portal } from './portal.js';
+import { LockedDoor } from './lockedDoor.js';
+import { toVector } from './dsl/level-loader.js';
+import {
+  getPlayerConfig,
+  getBlockConfig,
+  getPlatformConfig,
+  getGoalConfig,
+  getKeyConfig,
+  getTeleporterConfig,
+} from './dsl/physics-config.js';
+
+/**
+ * Loads the physics config sections used by the factories
+ * @returns {Promise<Object>} Config sections by entity type
+ */
+export async function loadEntityConfigs() {
+  return {
+    player: await getPlayerConfig(),
+    block: await getBlockConfig(),
+    platform: await getPlatformConfig(),
+    goal: await getGoalConfig(),
+    key: await getKeyConfig(),
+    teleporter: await getTeleporterConfig(),
+  };
+}
+
+/**
+ * Gets the physics config of an entity: its type's section with the level's overrides on top
+ * @param {Object} configs - Config sections from loadEntityConfigs
+ * @param {Object} definition - Entity definition
+ * @param {string} type - Entity type
+ * @returns {Object} Merged config
+ */
+export function getEntityConfig(configs, definition, type) {
+  return { ...configs[type], ...definition.physics };
+}
+
+/**
+ * Gets the top surface of the scene's platform
+ * @param {Object} entities - EntityManager
+ * @returns {number} Y position of the platform top (0 if there is no platform yet)
+ */
+function getPlatformTop(entities) {
+  return entities.first('platform')?.top ?? 0;
+}
+
+/**
+ * Registers the factories of every entity type
+ * @param {Object} entities - EntityManager to register them with
+ */
+export function registerEntityFactories(entities) {
+  entities.register(
+    'platform',
+    (definition, { world, scene, configs }) =>
+      new Platform(
+        world,
+        scene,
+        toVector(definition.size, { x: 10, y: 0.5, z: 10 }),
+        toVector(definition.position, { x: 0, y: -1, z: 0 }),
+        getEntityConfig(configs, definition, 'platform')
+      )
+  );
+
+  entities.register(
+    'player',
+    (definition, { world, scene, configs }) =>
+      new Player(
+        world,
+        scene,
+        getPlatformTop(entities),
+        getEntityConfig(configs, definition, 'player'),
+        toVector(definition.position)
+      )
+  );
+
+  entities.register(
+    'block',
+    (definition, { world, scene, configs }) =>
+      new Block(
+        world,
+        scene,
+        getPlatformTop(entities),
+        getEntityConfig(configs, definition, 'block'),
+        toVector(definition.position),
+        toVector(definition.size, { x: 1, y: 1, z: 1 })
+      )
+  );
+
+  entities.register('goal', (definition, { world, scene, configs }) => {
+    const position = toVector(definition.position);
+    return new Goal(
+      world,
+      scene,
+      getPlatformTop(entities),
+      new THREE.Vector3(position.x, 0, position.z),
+      getEntityConfig(configs, definition, 'goal')
+    );
+  });
+
+  entities.register('teleporter', (definition, { world, scene, configs }) => {
+    const position = toVector(definition.position);
+    return new Teleporter(
+      world,
+      scene,
+      getPlatformTop(entities),
+      new THREE.Vector3(position.x, 0, position.z),
+      getEntityConfig(configs, definition, 'teleporter')
+    );
+  });
+
+  // Portals use the teleporter sensor settings
+  entities.register('portal', (definition, { world, scene, configs }) => {
+    const position = toVector(definition.position);
+    return new Portal(
+      world,
+      scene,
+      getPlatformTop(entities),
+      new THREE.Vector3(position.x, 0, position.z),
+      configs.teleporter,
+      definition.color ?? 0xffa500
+    );
+  });
+
+  entities.register('key', (definition, { world, scene, configs }) => {
+    const position = toVector(definition.position);
+    const top = getPlatformTop(entities);
+    return new Key(
+      world,
+      scene,
+      new THREE.Vector3(position.x, top + position.y, position.z),
+      false,
+      getEntityConfig(configs, definition, 'key'),
+      definition.lock,
+      definition.color ?? 0xffd700
+    );
+  });
+
+  // Doors watch the player, so they are built after it
+  entities.register('lockedDoor', (definition, { world, scene }) => {
+    const position = toVector(definition.position);
+    const top = getPlatformTop(entities);
+    return new LockedDoor(
+      world,
+      scene,
+      entities.first('player'),
+      new THREE.Vector3(position.x, top + position.y, position.z),
+      definition.color ?? 0x8000ff,
+      { lock: definition.lock, consumeKey: definition.consumeKey }
+    );
+  });
+}
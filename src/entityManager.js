@@ -0,0 +1,229 @@
+/**
+ * Entity Manager
+ *
+ * Keeps track of every entity in the current scene. Each entity type registers
+ * a factory that builds it from its level definition, so a level can contain
+ * any number of entities of any type. Entities are found by id (unique within
+ * the scene) or by tag (every entity is tagged with its type, plus any tags
+ * from its definition).
+ *
+ * Entities may implement these lifecycle hooks, which the manager calls for
+ * every entity that has them:
+ * - update(): once per physics step
+ * - dispose(): when the entity is removed, to free its physics body and collider, and the
+ *   geometries, materials and textures of its meshes (see disposeEntity)
+ * - serialize(): returns the entity's saved state (deserialize(state) restores it)
+ */
+
+/**
+ * Registry of entity factories and the entities they built
+ */
+export class EntityManager {
+  /**
+   * Creates a new EntityManager instance
+   */
+  constructor() {
+    this.factories = new Map();
+    this.entities = new Map();
+    this.counts = new Map(); // Per-type counters for entities created without an id
+  }
+
+  /**
+   * Registers the factory for an entity type
+   * @param {string} type - Entity type (e.g. 'block')
+   * @param {function(Object, Object): Object} factory - Builds an entity from its definition
+   *   and the build context
+   */
+  register(type, factory) {
+    this.factories.set(type, factory);
+  }
+
+  /**
+   * Builds an entity with its type's factory and adds it to the scene
+   * @param {string} type - Entity type
+   * @param {Object} definition - Entity definition from the level file (id and tags optional)
+   * @param {Object} context - Whatever the factory needs (world, scene, configs, ...)
+   * @returns {Object} The new entity
+   * @throws {Error} If no factory is registered for the type
+   */
+  create(type, definition, context) {
+    const factory = this.factories.get(type);
+    if (!factory) throw new Error(`No factory registered for entity type "${type}"`);
+
+    const entity = factory(definition, { ...context, entities: this });
+    return this.add(entity, type, definition);
+  }
+
+  /**
+   * Adds an entity built elsewhere
+   * @param {Object} entity - Entity to add
+   * @param {string} type - Entity type
+   * @param {Object} [definition] - Entity definition (id and tags optional)
+   * @returns {Object} The entity, with id, type, tags and definition set
+   * @throws {Error} If another entity already has the id
+   */
+  add(entity, type, definition = {}) {
+    const count = (this.counts.get(type) ?? 0) + 1;
+    this.counts.set(type, count);
+
+    const id = definition.id ?? `${type}-${count}`;
+    if (this.entities.has(id)) throw new Error(`Duplicate entity id "${id}"`);
+
+    entity.id = id;
+    entity.type = type;
+    entity.tags = new Set([type, ...(definition.tags ?? [])]);
+    entity.definition = definition;
+    this.entities.set(id, entity);
+    return entity;
+  }
+
+  /**
+   * Puts a rebuilt entity in the place of an existing one, keeping its id and tags
+   * The old entity is disposed.
+   * @param {Object} oldEntity - Entity to replace
+   * @param {Object} newEntity - Entity that takes its place
+   * @returns {Object} The new entity
+   */
+  replace(oldEntity, newEntity) {
+    oldEntity.dispose?.();
+    newEntity.id = oldEntity.id;
+    newEntity.type = oldEntity.type;
+    newEntity.tags = oldEntity.tags;
+    newEntity.definition = oldEntity.definition;
+    this.entities.set(oldEntity.id, newEntity);
+    return newEntity;
+  }
+
+  /**
+   * Builds a new instance of an entity from its definition and puts it in the entity's place
+   * Used to apply settings that can only be set when an entity is built.
+   * @param {Object} entity - Entity to rebuild
+   * @param {Object} context - Build context, as for create()
+   * @returns {Object} The new entity
+   */
+  rebuild(entity, context) {
+    const factory = this.factories.get(entity.type);
+    return this.replace(entity, factory(entity.definition, { ...context, entities: this }));
+  }
+
+  /**
+   * Gets an entity by id
+   * @param {string} id - Entity id
+   * @returns {Object|null} The entity, or null if there is none
+   */
+  get(id) {
+    return this.entities.get(id) ?? null;
+  }
+
+  /**
+   * Gets every entity with a tag, in the order they were added
+   * @param {string} tag - Tag or entity type
+   * @returns {Array<Object>} Matching entities
+   */
+  getByTag(tag) {
+    return this.all().filter(entity => entity.tags.has(tag));
+  }
+
+  /**
+   * Gets the first entity with a tag, for types a level has at most one of
+   * @param {string} tag - Tag or entity type
+   * @returns {Object|null} The entity, or null if there is none
+   */
+  first(tag) {
+    return this.all().find(entity => entity.tags.has(tag)) ?? null;
+  }
+
+  /**
+   * Gets every entity
+   * @returns {Array<Object>} Entities in the order they were added
+   */
+  all() {
+    return [...this.entities.values()];
+  }
+
+  /**
+   * Removes an entity and disposes it
+   * @param {string} id - Entity id
+   */
+  remove(id) {
+    const entity = this.entities.get(id);
+    if (!entity) return;
+    this.entities.delete(id);
+    entity.dispose?.();
+  }
+
+  /**
+   * Removes and disposes every entity
+   */
+  clear() {
+    this.all().forEach(entity => entity.dispose?.());
+    this.entities.clear();
+    this.counts.clear();
+  }
+
+  /**
+   * Calls a method on every entity that has it
+   * @param {string} method - Method name
+   * @param {...*} args - Arguments passed to the method
+   */
+  invoke(method, ...args) {
+    for (const entity of this.all()) {
+      if (typeof entity[method] === 'function') entity[method](...args);
+    }
+  }
+
+  /**
+   * Runs the update hook of every entity
+   */
+  update() {
+    this.invoke('update');
+  }
+
+  /**
+   * Collects the state of every entity that can be serialized
+   * @returns {Object<string, *>} State by entity id
+   */
+  serialize() {
+    const state = {};
+    for (const entity of this.all()) {
+      if (typeof entity.serialize === 'function') state[entity.id] = entity.serialize();
+    }
+    return state;
+  }
+}
+
+/**
+ * Frees the GPU resources of an object and everything below it: geometries, materials and
+ * the textures the materials use
+ * The object itself stays usable; it is not removed from its parent.
+ * @param {THREE.Object3D} object - Object to free
+ */
+export function disposeObject(object) {
+  object.traverse(child => {
+    child.geometry?.dispose();
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    for (const material of materials.filter(Boolean)) {
+      Object.values(material)
+        .filter(value => value?.isTexture)
+        .forEach(texture => texture.dispose());
+      material.dispose();
+    }
+  });
+}
+
+/**
+ * Removes an entity's rigid body from its physics world and its mesh from its scene, and frees
+ * the geometries, materials and textures of the mesh
+ * Used by the dispose() hooks of the entity classes.
+ * @param {Object} entity - Entity with world, scene, body and mesh (each optional)
+ */
+export function disposeEntity(entity) {
+  if (entity.body && entity.world) entity.world.removeRigidBody(entity.body); // Also removes its colliders
+  if (entity.mesh) {
+    entity.scene?.remove(entity.mesh);
+    disposeObject(entity.mesh);
+  }
+  entity.body = null;
+  entity.collider = null;
+  entity.mesh = null;
+}
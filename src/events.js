@@ -0,0 +1,128 @@
+/**
+ * Event Bus
+ *
+ * Lets entities and UI components report what happened without knowing who
+ * reacts to it. Entities emit events (the player moved, a key was picked up)
+ * and systems in main.js subscribe to them, so entities don't depend on
+ * globals and can run without a browser window.
+ *
+ * Only the event types listed in EVENT_TYPES exist; using any other name
+ * throws, so a typo fails loudly instead of never firing.
+ */
+
+/**
+ * @typedef {Object} EventPayloads
+ * @property {{player: Object, point: {x: number, y: number, z: number}}} player:beforeMove
+ *   A move is about to push the player (the world is still in its pre-move state)
+ * @property {{player: Object, point: {x: number, y: number, z: number}}} player:moved
+ *   The player was pushed towards a point
+ * @property {{item: string, source: Object, color?: string}} item:picked - An item was
+ *   picked up (source is the entity it came from, color its CSS color)
+ * @property {{door: Object}} door:unlocked - A locked door was opened with its key
+ * @property {{door: Object}} door:passed - The player walked through an opened door
+ * @property {{teleporter: Object}} teleporter:entered - The player stepped on a teleporter
+ * @property {{sceneNumber: number}} scene:loaded - A scene finished building
+ * @property {{language: string}} language:changed - The interface language changed
+ * @property {{theme: string}} theme:changed - The color theme changed
+ * @property {{preset: string, config: Object}} physics:presetChanged - The difficulty
+ *   preset changed
+ * @property {{slotId: string, auto: boolean}} save:historyDropped - A save did not fit in
+ *   the storage and was written without its undo history
+ */
+
+/**
+ * Every event type that can be emitted or subscribed to (see EventPayloads)
+ */
+export const EVENT_TYPES = [
+  'player:beforeMove',
+  'player:moved',
+  'item:picked',
+  'door:unlocked',
+  'door:passed',
+  'teleporter:entered',
+  'scene:loaded',
+  'language:changed',
+  'theme:changed',
+  'physics:presetChanged',
+  'save:historyDropped',
+];
+
+/**
+ * Publish/subscribe event bus restricted to EVENT_TYPES
+ */
+export class EventBus {
+  /**
+   * Creates a new EventBus instance
+   */
+  constructor() {
+    this.handlers = new Map(EVENT_TYPES.map(type => [type, new Set()]));
+  }
+
+  /**
+   * Gets the handlers of an event type
+   * @param {string} type - Event type
+   * @returns {Set<Function>} Handlers
+   * @throws {Error} If the event type is not in EVENT_TYPES
+   */
+  handlersFor(type) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) throw new Error(`Unknown event type "${type}"`);
+    return handlers;
+  }
+
+  /**
+   * Subscribes to an event
+   * @param {string} type - Event type
+   * @param {function(Object): void} handler - Called with the event payload
+   * @returns {function(): void} Unsubscribes the handler
+   */
+  on(type, handler) {
+    this.handlersFor(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Subscribes to the next occurrence of an event only
+   * @param {string} type - Event type
+   * @param {function(Object): void} handler - Called with the event payload
+   * @returns {function(): void} Unsubscribes the handler before it has run
+   */
+  once(type, handler) {
+    const off = this.on(type, payload => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  /**
+   * Unsubscribes from an event
+   * @param {string} type - Event type
+   * @param {function(Object): void} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    this.handlersFor(type).delete(handler);
+  }
+
+  /**
+   * Calls every handler of an event, in the order they subscribed
+   * A handler that throws is logged and does not stop the others.
+   * @param {string} type - Event type
+   * @param {Object} [payload] - Event details (see EventPayloads)
+   */
+  emit(type, payload = {}) {
+    // Copied so handlers can unsubscribe (or subscribe others) while the event is running
+    for (const handler of [...this.handlersFor(type)]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`[Events] Handler for "${type}" failed:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Event bus shared by the whole game
+ */
+export const events = new EventBus();
@@ -0,0 +1,112 @@
+/**
+ * Fixed Timestep Loop
+ *
+ * Runs the physics simulation in fixed-size steps regardless of the display's
+ * frame rate. Frame time is collected in an accumulator and spent one step at a
+ * time; whatever is left over is returned as an interpolation factor so meshes
+ * can be drawn between the last two physics states.
+ */
+
+import * as THREE from 'three';
+
+// Scratch quaternion reused by interpolateTransform
+const currentRotation = new THREE.Quaternion();
+
+/**
+ * Accumulates frame time and runs a fixed number of simulation steps per frame
+ */
+export class FixedStepLoop {
+  /**
+   * Creates a new FixedStepLoop instance
+   * @param {number} stepSize - Simulated seconds per step (optional, defaults to 1/60)
+   * @param {number} maxStepsPerFrame - Most steps run in one frame before time is dropped (optional, defaults to 5)
+   */
+  constructor(stepSize = 1 / 60, maxStepsPerFrame = 5) {
+    this.stepSize = stepSize;
+    this.maxStepsPerFrame = maxStepsPerFrame;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Changes the step rate; time already accumulated is kept
+   * @param {number} stepSize - Simulated seconds per step
+   * @param {number} maxStepsPerFrame - Most steps run in one frame
+   */
+  configure(stepSize, maxStepsPerFrame = this.maxStepsPerFrame) {
+    this.stepSize = stepSize;
+    this.maxStepsPerFrame = maxStepsPerFrame;
+  }
+
+  /**
+   * Discards accumulated time (e.g. after loading a scene)
+   */
+  reset() {
+    this.accumulator = 0;
+  }
+
+  /**
+   * Adds a frame's elapsed time and runs as many whole steps as it covers
+   * @param {number} deltaMs - Milliseconds since the previous frame
+   * @param {function(): boolean|void} step - Runs one simulation step. Returning false stops
+   *   the remaining steps of this frame (e.g. the game ended or the scene is changing).
+   * @returns {number} Interpolation factor in [0, 1) between the previous and current state
+   */
+  advance(deltaMs, step) {
+    this.accumulator += Math.max(0, deltaMs) / 1000;
+
+    let steps = 0;
+    while (this.accumulator >= this.stepSize) {
+      this.accumulator -= this.stepSize;
+      steps++;
+
+      if (step() === false) {
+        this.accumulator = 0;
+        break;
+      }
+
+      // Too far behind (slow device, background tab): drop the backlog instead of spiralling
+      if (steps >= this.maxStepsPerFrame) {
+        this.accumulator %= this.stepSize;
+        break;
+      }
+    }
+
+    return this.accumulator / this.stepSize;
+  }
+}
+
+/**
+ * Copies a rigid body's current position and rotation
+ * @param {RAPIER.RigidBody} body - Body to read
+ * @returns {{position: Object, rotation: Object}} Plain copies of translation and rotation
+ */
+export function snapshotTransform(body) {
+  const { x, y, z } = body.translation();
+  const rotation = body.rotation();
+  return {
+    position: { x, y, z },
+    rotation: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w },
+  };
+}
+
+/**
+ * Places a mesh between a body's previous and current transform
+ * @param {THREE.Object3D} mesh - Mesh to move
+ * @param {{position: Object, rotation: Object}} previous - Transform before the last step
+ * @param {RAPIER.RigidBody} body - Body holding the current transform
+ * @param {number} alpha - Interpolation factor (0 = previous, 1 = current)
+ */
+export function interpolateTransform(mesh, previous, body, alpha) {
+  const position = body.translation();
+  const rotation = body.rotation();
+
+  mesh.position.set(
+    previous.position.x + (position.x - previous.position.x) * alpha,
+    previous.position.y + (position.y - previous.position.y) * alpha,
+    previous.position.z + (position.z - previous.position.z) * alpha
+  );
+  currentRotation.set(rotation.x, rotation.y, rotation.z, rotation.w);
+  mesh.quaternion
+    .set(previous.rotation.x, previous.rotation.y, previous.rotation.z, previous.rotation.w)
+    .slerp(currentRotation, alpha);
+}
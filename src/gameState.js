@@ -0,0 +1,97 @@
+/**
+ * Game State Machine
+ *
+ * Tracks which phase the game is in so that input, the physics loop, undo and
+ * the win/lose overlays all agree on what may happen. Only the transitions
+ * listed in TRANSITIONS are allowed; anything else is refused with a warning
+ * instead of leaving the game half in one state and half in another.
+ */
+
+/**
+ * States the game can be in, and the states each one may change to
+ * - boot: the first scene is being built
+ * - menu: an in-game menu (e.g. the save menu) is open over a running scene
+ * - playing: the player is in control and physics runs
+ * - paused: the scene is frozen (pause key or replay controls)
+ * - transitioning: a scene or save is being loaded
+ * - won / lost: the scene has ended and its end screen is shown
+ */
+export const TRANSITIONS = {
+  boot: ['playing', 'transitioning'],
+  menu: ['playing', 'transitioning'],
+  playing: ['menu', 'paused', 'transitioning', 'won', 'lost'],
+  paused: ['playing', 'transitioning'],
+  transitioning: ['playing'],
+  won: ['transitioning'],
+  lost: ['transitioning'],
+};
+
+/**
+ * Finite state machine with enter and exit hooks
+ */
+export class GameStateMachine {
+  /**
+   * Creates a new GameStateMachine instance, starting in 'boot'
+   */
+  constructor() {
+    this.state = 'boot';
+    this.enterHooks = new Map();
+    this.exitHooks = new Map();
+  }
+
+  /**
+   * Checks whether the game is in one of the given states
+   * @param {...string} states - States to check for
+   * @returns {boolean} True if the current state is one of them
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Checks whether the current state may change to another
+   * @param {string} state - State to change to
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(state) {
+    return TRANSITIONS[this.state].includes(state);
+  }
+
+  /**
+   * Changes state, running the exit hooks of the old state and then the enter hooks of the new one
+   * @param {string} state - State to change to
+   * @returns {boolean} True if the state changed, false if the transition is not allowed
+   */
+  transition(state) {
+    if (!this.canTransition(state)) {
+      console.warn(`[Game State] Ignored transition from "${this.state}" to "${state}"`);
+      return false;
+    }
+
+    const previous = this.state;
+    this.exitHooks.get(previous)?.forEach(hook => hook(state));
+    this.state = state;
+    this.enterHooks.get(state)?.forEach(hook => hook(previous));
+    return true;
+  }
+
+  /**
+   * Registers a function to run when a state is entered
+   * @param {string} state - State to watch
+   * @param {function(string): void} hook - Called with the state that was left
+   */
+  onEnter(state, hook) {
+    if (!this.enterHooks.has(state)) this.enterHooks.set(state, []);
+    this.enterHooks.get(state).push(hook);
+  }
+
+  /**
+   * Registers a function to run when a state is left
+   * @param {string} state - State to watch
+   * @param {function(string): void} hook - Called with the state being entered
+   */
+  onExit(state, hook) {
+    if (!this.exitHooks.has(state)) this.exitHooks.set(state, []);
+    this.exitHooks.get(state).push(hook);
+  }
+}
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
+import { disposeEntity } from './entityManager.js';
+import { COLLIDER_SIZES } from './colliderSizes.js';
+
+const SIZE = COLLIDER_SIZES.goal;
 
 /**
  * Goal class that manages the goal area sensor
@@ -11,12 +15,18 @@ export class Goal {
    * @param {THREE.Scene} scene - The Three.js scene
    * @param {number} platformTop - The Y position of the platform top surface
    * @param {THREE.Vector3} position - Position of the goal (optional, defaults to (3, 0, -2))
+   * @param {Object} config - Goal configuration {threshold} (optional)
    */
-  constructor(world, scene, platformTop, position = new THREE.Vector3(3, 0, -2)) {
-    const goalGeometry = new THREE.BoxGeometry(1, 0.1, 1);
+  constructor(world, scene, platformTop, position = new THREE.Vector3(3, 0, -2), config = {}) {
+    this.world = world;
+    this.scene = scene;
+    // Distance from the goal center within which the block counts as delivered
+    this.threshold = config.threshold ?? 0.8;
+
+    const goalGeometry = new THREE.BoxGeometry(SIZE.x, SIZE.y, SIZE.z);
     const goalMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff55 });
     this.mesh = new THREE.Mesh(goalGeometry, goalMaterial);
-    this.mesh.position.set(position.x, platformTop + 0.05, position.z);
+    this.mesh.position.set(position.x, platformTop + SIZE.y / 2, position.z);
     scene.add(this.mesh);
 
     const goalBodyDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(
@@ -25,7 +35,26 @@ export class Goal {
       this.mesh.position.z
     );
     this.body = world.createRigidBody(goalBodyDesc);
-    const goalColliderDesc = RAPIER.ColliderDesc.cuboid(0.5, 0.05, 0.5).setSensor(true);
+    const goalColliderDesc = RAPIER.ColliderDesc.cuboid(
+      SIZE.x / 2,
+      SIZE.y / 2,
+      SIZE.z / 2
+    ).setSensor(true);
     this.collider = world.createCollider(goalColliderDesc, this.body);
   }
+
+  /**
+   * Applies new configuration values to the goal
+   * @param {Object} config - Goal configuration {threshold}
+   */
+  applyConfig(config) {
+    if (typeof config.threshold === 'number') this.threshold = config.threshold;
+  }
+
+  /**
+   * Removes the goal from the physics world and the scene
+   */
+  dispose() {
+    disposeEntity(this);
+  }
 }
@@ -0,0 +1,122 @@
+import { isRTL } from './i18n/rtl-utils.js';
+import { t } from './i18n/translations.js';
+import { getThemeColor } from './theme.js';
+import { events } from './events.js';
+
+/**
+ * Timeline of the undo history shown next to the Undo button
+ * One dot per point in the history: the start of the scene, then one per action.
+ * Dots after the current one are actions that can be redone.
+ */
+export class HistoryTimeline {
+  /**
+   * Creates a new HistoryTimeline instance
+   * @param {function(number): void} onSelect - Called with the history index of a clicked dot
+   */
+  constructor(onSelect) {
+    this.onSelect = onSelect;
+    this.actionTypes = [];
+    this.currentIndex = 0;
+
+    this.container = document.createElement('div');
+    Object.assign(this.container.style, {
+      position: 'absolute',
+      top: '50px',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '4px',
+      maxWidth: '200px',
+      height: '36px',
+      padding: '0 8px',
+      overflowX: 'auto',
+      borderRadius: '4px',
+      boxSizing: 'border-box',
+      zIndex: '2000',
+    });
+    this.updateStyle();
+
+    events.on('theme:changed', () => this.render());
+    events.on('language:changed', () => this.render());
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Applies theme colors to the container
+   */
+  updateStyle() {
+    Object.assign(this.container.style, {
+      background: getThemeColor('buttonBg'),
+      border: `2px solid ${getThemeColor('buttonBorder')}`,
+    });
+  }
+
+  /**
+   * Places the timeline beside the Undo button (on its left, or its right in RTL)
+   * @param {HTMLElement} anchor - Undo button
+   */
+  updatePosition(anchor) {
+    const offset = `${10 + anchor.offsetWidth + 6}px`;
+    this.container.style.direction = isRTL() ? 'rtl' : 'ltr';
+    this.container.style.right = isRTL() ? 'auto' : offset;
+    this.container.style.left = isRTL() ? offset : 'auto';
+  }
+
+  /**
+   * Shows a new history
+   * @param {string[]} actionTypes - Type of every action in order ('move' or 'keyPickup'),
+   *   including the ones that can be redone
+   * @param {number} currentIndex - Number of actions currently applied
+   */
+  update(actionTypes, currentIndex) {
+    this.actionTypes = actionTypes;
+    this.currentIndex = currentIndex;
+    this.render();
+  }
+
+  /**
+   * Gets the tooltip of a history point
+   * @param {number} index - History index (0 = start of the scene)
+   * @returns {string} Translated label
+   */
+  getLabel(index) {
+    if (index === 0) return t('history.start');
+    const type = this.actionTypes[index - 1];
+    const moveNumber = this.actionTypes.slice(0, index).filter(action => action === 'move').length;
+    return type === 'move' ? t('history.move', { number: moveNumber }) : t('history.keyPickup');
+  }
+
+  /**
+   * Rebuilds the dots
+   */
+  render() {
+    this.updateStyle();
+    this.container.innerHTML = '';
+    this.container.style.display = this.actionTypes.length === 0 ? 'none' : 'flex';
+
+    for (let index = 0; index <= this.actionTypes.length; index++) {
+      const isCurrent = index === this.currentIndex;
+      const isFuture = index > this.currentIndex;
+      const isKeyPickup = this.actionTypes[index - 1] === 'keyPickup';
+
+      const dot = document.createElement('button');
+      dot.title = this.getLabel(index);
+      dot.setAttribute('aria-label', dot.title);
+      Object.assign(dot.style, {
+        flex: '0 0 auto',
+        width: isCurrent ? '14px' : '10px',
+        height: isCurrent ? '14px' : '10px',
+        padding: '0',
+        borderRadius: isKeyPickup ? '2px' : '50%',
+        border: `2px solid ${isKeyPickup ? 'gold' : getThemeColor('textColor')}`,
+        background: isFuture ? 'transparent' : isKeyPickup ? 'gold' : getThemeColor('textColor'),
+        opacity: isFuture ? '0.5' : '1',
+        cursor: isCurrent ? 'default' : 'pointer',
+      });
+      if (!isCurrent) dot.addEventListener('click', () => this.onSelect(index));
+      this.container.appendChild(dot);
+
+      if (isCurrent) dot.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+    }
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import { setLanguage, SUPPORTED_LANGUAGES, getCurrentLanguage, t } from './translations.js';
+import { events } from '../events.js';
 
 /**
  * Creates and returns a language selector dropdown element
@@ -30,7 +31,7 @@ export function createLanguageSelector() {
   container.appendChild(label);
 
   // Update label text when language changes
-  window.addEventListener('languageChanged', () => {
+  events.on('language:changed', () => {
     label.textContent = t('ui.language') + ' ';
   });
 
@@ -81,8 +82,8 @@ export function createLanguageSelector() {
     container.style.left = isRTL ? '10px' : 'auto';
     container.style.direction = isRTL ? 'rtl' : 'ltr';
 
-    // Trigger custom event for language change
-    window.dispatchEvent(new CustomEvent('languageChanged', { detail: { language: newLang } }));
+    // Let the rest of the interface update its text and layout
+    events.emit('language:changed', { language: newLang });
   });
 
   container.appendChild(select);
@@ -106,7 +107,7 @@ function updatePageDirection(lang) {
 
 /**
  * Initializes the language selector and sets up initial language
- * @param {string} preferredLang - Preferred language (from localStorage or browser)
+ * @param {string} preferredLang - Preferred language (from saved preferences or browser)
  */
 export function initLanguageSelector(preferredLang = null) {
   // Update page direction based on initial language
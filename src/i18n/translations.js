@@ -3,6 +3,8 @@
  * Manages translations and provides a translation function
  */
 
+import { createStorage, adoptLocalStorageKeys } from '../storage.js';
+
 // Supported languages
 export const SUPPORTED_LANGUAGES = {
   en: 'English',
@@ -21,6 +23,9 @@ let translations = {};
 // English translations cache for fallback
 let englishTranslations = {};
 
+// Storage for the preferred language
+const preferences = createStorage('preferences');
+
 /**
  * Loads translations for a given language
  * @param {string} lang - Language code (en, zh, ar)
@@ -42,14 +47,14 @@ async function loadTranslations(lang) {
 
 /**
  * Initializes the translation system
- * @param {string} lang - Initial language code (defaults to localStorage preference, then browser language, then 'en')
+ * @param {string} lang - Initial language code (defaults to the stored preference, then browser language, then 'en')
  * @returns {Promise<void>}
  */
 export async function initTranslations(lang = null) {
-  // Check localStorage first, then browser language if not provided
+  // Check the stored preference first, then browser language if not provided
   if (!lang) {
-    // Try to load saved preference from localStorage
-    const savedLang = loadPreferredLanguage();
+    // Try to load saved preference
+    const savedLang = await loadPreferredLanguage();
     if (savedLang) {
       lang = savedLang;
     } else {
@@ -103,11 +108,11 @@ export async function setLanguage(lang) {
     englishTranslations = translations;
   }
 
-  // Store preference in localStorage
+  // Store preference
   try {
-    localStorage.setItem('preferredLanguage', lang);
-  } catch (_e) {
-    // localStorage may not be available
+    await preferences.set('language', lang);
+  } catch (error) {
+    console.warn('Failed to store language preference', error);
   }
 }
 
@@ -181,16 +186,21 @@ export function t(key, params = {}) {
 }
 
 /**
- * Loads preferred language from localStorage on initialization
+ * Loads preferred language from storage on initialization
+ * @returns {Promise<string|null>} Saved language code, or null if none is saved
  */
-export function loadPreferredLanguage() {
+export async function loadPreferredLanguage() {
   try {
-    const saved = localStorage.getItem('preferredLanguage');
+    // Older versions kept the preference directly in localStorage
+    await adoptLocalStorageKeys(preferences, key =>
+      key === 'preferredLanguage' ? 'language' : null
+    );
+    const saved = await preferences.get('language');
     if (saved && SUPPORTED_LANGUAGES[saved]) {
       return saved;
     }
-  } catch (_e) {
-    // localStorage may not be available
+  } catch (error) {
+    console.warn('Failed to load language preference', error);
   }
   return null;
 }
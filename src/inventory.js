@@ -1,5 +1,6 @@
 import { isRTL, updateRTLPosition } from './i18n/rtl-utils.js';
 import { getThemeColor } from './theme.js';
+import { events } from './events.js';
 
 /**
  * Simple Inventory UI with 5 slots + item tracking
@@ -9,6 +10,9 @@ export class InventoryUI {
     this.slots = [];
     this.maxSlots = 5;
     this.items = []; // store item types
+    // CSS colors of the items picked up, by item type. Kept when items are removed, so an
+    // item that comes back through undo keeps its color
+    this.itemColors = {};
 
     // Create container
     this.container = document.createElement('div');
@@ -34,12 +38,12 @@ export class InventoryUI {
     this.updatePosition();
 
     // Listen for language changes to update position
-    window.addEventListener('languageChanged', () => {
+    events.on('language:changed', () => {
       this.updatePosition();
     });
 
     // Listen for theme changes to update slot colors
-    window.addEventListener('themeChanged', () => {
+    events.on('theme:changed', () => {
       this.updateSlotStyles();
     });
 
@@ -84,22 +88,32 @@ export class InventoryUI {
     updateRTLPosition(this.container, this.ltrPosition, this.rtlPosition);
   }
 
-  addItem(type) {
+  /**
+   * Adds an item to the first empty slot
+   * @param {string} type - Item type (e.g. 'key' or 'key:red')
+   * @param {string} [color] - CSS color of the item, shown as its border
+   */
+  addItem(type, color) {
     const emptySlot = this.slots.find(slot => !slot.hasChildNodes());
     if (!emptySlot) return; // No space left
 
     // Store item
     this.items.push(type);
+    if (color) this.itemColors[type] = color;
     console.log('[Inventory] addItem:', type);
 
     const icon = document.createElement('div');
+    const isKey = type === 'key' || type.startsWith('key:');
     Object.assign(icon.style, {
       width: '30px',
       height: '30px',
-      backgroundColor: type === 'key' ? 'gold' : getThemeColor('textColor'),
+      boxSizing: 'border-box',
+      backgroundColor: isKey ? 'gold' : getThemeColor('textColor'),
+      border: this.itemColors[type] ? `4px solid ${this.itemColors[type]}` : 'none',
       borderRadius: '4px',
       transition: 'background-color 0.3s ease',
     });
+    icon.title = type;
 
     // Important: mark dataset so code can detect it
     icon.dataset.item = type;
@@ -148,6 +162,18 @@ export class InventoryUI {
 
     console.log('[Inventory] cleared all items');
   }
+
+  /**
+   * Replaces the inventory contents (used when restoring a saved state)
+   * @param {string[]} items - Item types, in slot order
+   * @param {Object<string, string>} [colors] - Item colors by item type (see itemColors);
+   *   the known colors are kept if omitted
+   */
+  setItems(items, colors) {
+    if (colors) this.itemColors = { ...colors };
+    this.clear();
+    items.forEach(type => this.addItem(type));
+  }
 }
 
 // Create a singleton instance
@@ -1,30 +1,53 @@
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
+import { events } from './events.js';
+import { disposeEntity } from './entityManager.js';
+
+/**
+ * Gets the inventory item a key turns into
+ * Keys without a lock open doors without a lock; keys with a lock open the doors with the
+ * same lock.
+ * @param {string|null} [lock] - Lock name (e.g. 'red')
+ * @returns {string} Item type: 'key', or 'key:<lock>'
+ */
+export function getKeyItem(lock) {
+  return lock ? `key:${lock}` : 'key';
+}
 
 export class Key {
-  constructor(world, scene, position, pickedUp = false) {
+  constructor(
+    world,
+    scene,
+    position,
+    pickedUp = false,
+    config = {},
+    lock = null,
+    color = 0xffd700
+  ) {
     this.world = world;
     this.scene = scene;
     this.pickedUp = pickedUp;
+    this.item = getKeyItem(lock);
+    this.color = color;
 
     if (pickedUp) return; // Already collected, don't spawn
 
     // Key head
     const head = new THREE.Mesh(
       new THREE.BoxGeometry(0.3, 0.1, 0.3),
-      new THREE.MeshBasicMaterial({ color: 0xffd700 })
+      new THREE.MeshBasicMaterial({ color })
     );
     // Shaft
     const shaft = new THREE.Mesh(
       new THREE.CylinderGeometry(0.05, 0.05, 0.6, 16),
-      new THREE.MeshBasicMaterial({ color: 0xffd700 })
+      new THREE.MeshBasicMaterial({ color })
     );
     shaft.rotation.z = Math.PI / 2;
     shaft.position.x = 0.3;
     // Tip
     const tip = new THREE.Mesh(
       new THREE.CylinderGeometry(0.04, 0.05, 0.2, 16),
-      new THREE.MeshBasicMaterial({ color: 0xffd700 })
+      new THREE.MeshBasicMaterial({ color })
     );
     tip.rotation.z = Math.PI / 2;
     tip.position.x = 0.6;
@@ -44,46 +67,45 @@ export class Key {
 
     const body = RAPIER.RigidBodyDesc.fixed().setTranslation(position.x, position.y, position.z);
     this.body = world.createRigidBody(body);
-    const collider = RAPIER.ColliderDesc.cuboid(0.5, 0.1, 0.15).setSensor(true);
+    const sensorSize = config.sensorSize ?? { x: 1, y: 0.2, z: 0.3 };
+    const collider = RAPIER.ColliderDesc.cuboid(
+      sensorSize.x / 2,
+      sensorSize.y / 2,
+      sensorSize.z / 2
+    ).setSensor(true);
     this.collider = world.createCollider(collider, this.body);
-
-    this.onClick = null;
   }
 
   checkClick(raycaster) {
+    if (!this.isClicked(raycaster)) return false;
+    this.pickUp();
+    return true;
+  }
+
+  isClicked(raycaster) {
     if (this.pickedUp || !this.hitbox) return false;
-    const intersects = raycaster.intersectObject(this.hitbox, false);
-    if (intersects.length > 0) {
-      this.pickedUp = true;
-      if (this.onClick) this.onClick();
-      this.onClick = null;
-      this.hitbox = null;
-      window.saveGame?.(); // Auto-save on pickup
-      return true;
-    }
-    return false;
+    return raycaster.intersectObject(this.hitbox, false).length > 0;
   }
 
-  destroy() {
-    if (this.collider) this.world.removeCollider(this.collider);
-    if (this.body) this.world.removeRigidBody(this.body);
-    if (this.mesh) this.scene.remove(this.mesh);
-    this.mesh = null;
+  pickUp() {
+    if (this.pickedUp) return;
+    this.pickedUp = true;
     this.hitbox = null;
-    this.onClick = null;
+    const color = `#${new THREE.Color(this.color).getHexString()}`;
+    events.emit('item:picked', { item: this.item, source: this, color });
   }
 
-  // Save/load helpers
-  getSaveData() {
-    return { pickedUp: this.pickedUp };
+  dispose() {
+    disposeEntity(this);
+    this.hitbox = null;
   }
 
-  loadFromData(data) {
-    if (data?.pickedUp) {
-      this.pickedUp = true;
-      if (this.mesh) this.scene.remove(this.mesh);
-      this.mesh = null;
-      this.hitbox = null;
-    }
+  // Save/load helpers
+  // A picked-up key is removed from the scene, so only a key still lying in the scene is
+  // saved: restoring it means spawning a new key at the saved position
+  serialize() {
+    if (!this.mesh) return null;
+    const { x, y, z } = this.mesh.position;
+    return { x, y, z };
   }
 }
@@ -0,0 +1,44 @@
+/**
+ * Leak Check
+ *
+ * Development-only check run after a scene is torn down. Once every entity has
+ * been disposed and the scene emptied, the renderer should hold no geometries
+ * or textures and the physics world no bodies or colliders. Anything left over
+ * was not released and would pile up with every scene switch.
+ */
+
+/**
+ * Counts the resources still held by the renderer and the physics world
+ * @param {THREE.WebGLRenderer} renderer - Renderer of the game
+ * @param {RAPIER.World|null} world - Physics world of the game
+ * @returns {{geometries: number, textures: number, bodies: number, colliders: number}} Counts
+ */
+export function countResources(renderer, world) {
+  return {
+    geometries: renderer.info.memory.geometries,
+    textures: renderer.info.memory.textures,
+    bodies: world ? world.bodies.len() : 0,
+    colliders: world ? world.colliders.len() : 0,
+  };
+}
+
+/**
+ * Reports resources left over after a scene was torn down
+ * @param {THREE.WebGLRenderer} renderer - Renderer of the game
+ * @param {RAPIER.World|null} world - Physics world of the game
+ * @param {number} sceneNumber - Scene that was torn down
+ * @returns {boolean} True if nothing was left over
+ */
+export function checkForLeaks(renderer, world, sceneNumber) {
+  const counts = countResources(renderer, world);
+  const leftovers = Object.entries(counts).filter(([, count]) => count > 0);
+
+  if (leftovers.length > 0) {
+    const details = leftovers.map(([name, count]) => `${count} ${name}`).join(', ');
+    console.warn(`[Leak Check] Scene ${sceneNumber} left behind ${details}`);
+    return false;
+  }
+
+  console.log(`[Leak Check] Scene ${sceneNumber} was released completely`);
+  return true;
+}
@@ -1,24 +1,50 @@
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
 import { inventory } from './inventory.js';
+import { events } from './events.js';
+import { disposeEntity } from './entityManager.js';
+import { getKeyItem } from './key.js';
+import { COLLIDER_SIZES } from './colliderSizes.js';
+
+const SIZE = COLLIDER_SIZES.lockedDoor;
 
 export class LockedDoor {
-  constructor(world, scene, player, destination, position = new THREE.Vector3(0, 0, 0)) {
+  /**
+   * Creates a new LockedDoor instance
+   * Where the door leads is up to whoever handles its door:passed event (see main.js).
+   * @param {RAPIER.World} world - The Rapier physics world
+   * @param {THREE.Scene} scene - The Three.js scene
+   * @param {Object} player - The player, whose key opens the door
+   * @param {THREE.Vector3} position - Center of the door
+   * @param {number|string} color - Door color
+   * @param {Object} [options] - Lock options
+   * @param {string|null} [options.lock] - Lock name: only a key with the same lock opens the door
+   * @param {boolean} [options.consumeKey] - Whether opening the door uses the key up
+   */
+  constructor(
+    world,
+    scene,
+    player,
+    position = new THREE.Vector3(0, 0, 0),
+    color = 0x8000ff,
+    { lock = null, consumeKey = false } = {}
+  ) {
     this.world = world;
     this.scene = scene;
     this.player = player;
-    this.destination = destination ? destination.clone() : new THREE.Vector3(0, 0, 0);
+    this.keyItem = getKeyItem(lock);
+    this.consumeKey = consumeKey;
 
     this.unlocked = false;
     this.fadedOut = false;
     this.fadeAmount = 1;
-    this.onWin = null;
+    this.passed = false; // Whether the player is walking through the open door
 
     // Purple door
-    const geometry = new THREE.BoxGeometry(1, 2, 0.2);
+    const geometry = new THREE.BoxGeometry(SIZE.x, SIZE.y, SIZE.z);
     // Use an unlit material so the door remains visibly purple even without scene lighting
     const material = new THREE.MeshBasicMaterial({
-      color: 0x8000ff, // purple
+      color, // purple by default
       transparent: true,
       opacity: 1,
     });
@@ -35,7 +61,9 @@ export class LockedDoor {
     );
     this.body = world.createRigidBody(bodyDesc);
 
-    const colliderDesc = RAPIER.ColliderDesc.cuboid(0.5, 1, 0.1).setSensor(true);
+    const colliderDesc = RAPIER.ColliderDesc.cuboid(SIZE.x / 2, SIZE.y / 2, SIZE.z / 2).setSensor(
+      true
+    );
     this.collider = world.createCollider(colliderDesc, this.body);
   }
 
@@ -51,7 +79,9 @@ export class LockedDoor {
     if (!this.unlocked && this.isPlayerTouching()) {
       if (this.playerHasKey()) {
         this.unlocked = true;
-        console.log('[LockedDoor] unlocked: player had the key');
+        if (this.consumeKey) inventory.removeLastItem(this.keyItem);
+        console.log(`[LockedDoor] unlocked: player had the ${this.keyItem}`);
+        events.emit('door:unlocked', { door: this });
       }
     }
 
@@ -71,7 +101,7 @@ export class LockedDoor {
       }
     }
 
-    // After fade, if player overlaps, trigger win once
+    // After fade, if player overlaps, report it once
     if (this.fadedOut) {
       // We still use intersectionPair but if collider removed, fallback to distance check
       let touching = false;
@@ -88,33 +118,49 @@ export class LockedDoor {
         touching = dist < 1.2;
       }
 
-      if (touching && this.onWin) {
-        const cb = this.onWin;
-        this.onWin = null; // prevent double-call
-        console.log('[LockedDoor] triggering onWin callback');
-        cb();
+      // Reported each time the player enters the doorway, since doors may lead elsewhere and
+      // the player can come back through them
+      if (touching && !this.passed) {
+        console.log('[LockedDoor] player passed through');
+        events.emit('door:passed', { door: this });
       }
+      this.passed = touching;
     }
   }
 
-  playerHasKey() {
-    // Prefer a hasItem API if inventory has it
-    if (inventory && typeof inventory.hasItem === 'function') {
-      return inventory.hasItem('key');
-    }
+  // Save/load helpers
+  serialize() {
+    return {
+      unlocked: this.unlocked,
+      fadedOut: this.fadedOut,
+      fadeAmount: this.fadeAmount,
+      passed: this.passed,
+    };
+  }
 
-    // Fallback: check DOM icons placed into inventory slots
-    if (inventory && Array.isArray(inventory.slots)) {
-      return inventory.slots.some(slot => {
-        const icon = slot.firstChild;
-        if (!icon) return false;
-        if (icon.dataset && icon.dataset.item) return icon.dataset.item === 'key';
-        // fallback by style color
-        const bg = icon.style && icon.style.backgroundColor;
-        return bg && (bg === 'gold' || bg === 'rgb(255, 215, 0)');
-      });
+  deserialize(data) {
+    if (!data) return;
+    this.unlocked = data.unlocked;
+    this.fadedOut = data.fadedOut;
+    this.fadeAmount = data.fadeAmount;
+    this.passed = data.passed ?? false; // Saves from before doors led anywhere don't have it
+    this.mesh.material.opacity = Math.max(0, this.fadeAmount);
+
+    // A door loaded into a freshly built scene still has the collider a faded door removes
+    if (this.fadedOut && this.collider) {
+      this.world.removeCollider(this.collider, true);
+      this.collider = null;
     }
+  }
+
+  /**
+   * Removes the door from the physics world and the scene
+   */
+  dispose() {
+    disposeEntity(this);
+  }
 
-    return false;
+  playerHasKey() {
+    return inventory.hasItem(this.keyItem);
   }
 }
@@ -1,18 +1,49 @@
 import Phaser from 'phaser';
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
-import { Player } from './player.js';
-import { Platform } from './platform.js';
-import { Block } from './block.js';
-import { Goal } from './goal.js';
-import { Key } from './key.js';
-import { Teleporter } from './teleporter.js';
+import { EntityManager, disposeObject } from './entityManager.js';
+import { checkForLeaks } from './leakCheck.js';
+import { registerEntityFactories, loadEntityConfigs, getEntityConfig } from './entityFactories.js';
+import { FixedStepLoop } from './fixedStepLoop.js';
+import { GameStateMachine } from './gameState.js';
+import { SceneTransitionManager } from './sceneTransition.js';
+import { events } from './events.js';
+import {
+  takeWorldSnapshot,
+  restoreWorldSnapshot,
+  getPhysicsHandles,
+  bindPhysicsHandles,
+} from './worldSnapshot.js';
+import { HistoryTimeline } from './historyTimeline.js';
+import { ReplayRecorder, ReplayPlayer, readReplayFile, downloadReplay } from './replay.js';
+import { initReplayControls } from './replayControls.js';
 import { inventory } from './inventory.js';
-import { handleResize, checkBlockGoal, isGameOver, showMessage } from './utils.js';
+import { worldState } from './worldState.js';
+import {
+  readSlot,
+  readLatestSave,
+  writeSlot,
+  createSlot,
+  writeAutoSave,
+  discardSave,
+  SAVED_HISTORY_LIMIT,
+} from './saveData.js';
+import { initSaveMenu } from './saveMenu.js';
+import { handleResize, checkBlockGoal, isGameOver, showMessage, debounce } from './utils.js';
 import { initTranslations, t, getCurrentLanguage } from './i18n/translations.js';
 import { initLanguageSelector } from './i18n/languageSelector.js';
 import { getCSSFontFamily } from './i18n/font-loader.js';
-import { getPlayerConfig, getBlockConfig } from './dsl/physics-config.js';
+import {
+  getWorldConfig,
+  getConfigErrors,
+  getCurrentPreset,
+  getCurrentPresetFiles,
+  initPhysicsPreset,
+  reloadPhysicsConfig,
+} from './dsl/physics-config.js';
+import { showDiagnosticsPanel } from './dsl/diagnostics-panel.js';
+import { initDifficultySelector } from './dsl/difficulty-selector.js';
+import { loadLevel, toVector, ENTITY_TYPES } from './dsl/level-loader.js';
 import { updateRTLPosition } from './i18n/rtl-utils.js';
 import { initTheme, getThemeColor, applySceneTheme, getGameObjectColors } from './theme.js';
 
@@ -41,56 +72,145 @@ const lights = { ambient: ambientLight, directional: directionalLight };
 
 // --- Rapier Physics World Setup ---
 let world = null;
-let physicsObjects = {
-  platform: null,
-  block: null,
-  player: null,
-  goal: null,
-  key: null,
-  teleporter: null,
-};
+const physicsLoop = new FixedStepLoop(); // Step rate is set from the world config
+let pendingInputs = []; // Clicks waiting to be applied at the start of the next physics step
+let simulationTick = 0; // Physics steps run since the current recording or playback started
+const entities = new EntityManager();
+registerEntityFactories(entities);
 
 // --- Game State ---
-let gameOver = false;
-let keySpawned = false; // Track if the key has already been spawned
+const gameState = new GameStateMachine();
+let hideEndScreen = null; // Removes the win or lose screen overlay while one is shown
+let sceneSubscriptions = []; // Unsubscribe functions for event handlers of the current scene
+let spawnedKeys = new Set(); // Ids of the level's keys that have appeared (once per visit)
+let entityConfigs = {}; // Physics config sections the current scene was built with
 let currentScene = 1;
+let currentLevel = null; // Level definition the current scene was built from
+let returnLink = null; // Where returnLink teleporters lead: { scene, spawn } of the way the player came
 let moveCount = 0; // Track number of moves
-let actionHistory = []; // Track actions for undo: { type: 'move' | 'keyPickup', data: {...} }
+let actionHistory = []; // Track actions for undo: { type: 'move' | 'keyPickup', snapshot, state }
+let redoStack = []; // Undone actions, most recently undone last (same shape as actionHistory)
+
+// --- Replay State ---
+let replayRecorder = null; // Set while inputs are being recorded
+let replayPlayer = null; // Set while a replay is playing back
+let replayControls = null;
+let gameBeforeReplay = null; // Game state a recording or playback goes back to when it ends
 
 // --- Save System ---
-function saveGame() {
-  if (!physicsObjects.player) return;
-  const saveData = {
+const AUTO_SAVE_DELAY = 500; // Milliseconds without moves before an auto-save is written
+
+// Playback must not overwrite the player's own progress, and a scene that is loading
+// or has ended is not a state worth returning to
+function canSave() {
+  return (
+    Boolean(entities.first('player')) &&
+    !replayPlayer &&
+    !replayRecorder && // Recording restarts the scene, which must not replace the player's save
+    gameState.is('playing', 'paused', 'menu')
+  );
+}
+
+function getSaveData() {
+  return {
     scene: currentScene,
-    player: physicsObjects.player.getSaveData(),
-    block: physicsObjects.block ? physicsObjects.block.getSaveData() : null,
-    key: physicsObjects.key ? physicsObjects.key.getSaveData() : { pickedUp: true },
+    entities: entities.serialize(),
+    spawnedKeys: [...spawnedKeys],
+    sceneStates: worldState.serialize(),
+    returnLink,
+    inventory: [...inventory.items],
+    itemColors: { ...inventory.itemColors },
     moveCount: moveCount,
-    actionHistory: actionHistory,
+    // Copied because the game keeps changing them while the save is being written
+    actionHistory: [...actionHistory],
+    redoStack: [...redoStack],
   };
-  localStorage.setItem('myGameSave', JSON.stringify(saveData));
 }
 
-function loadGame() {
-  const dataStr = localStorage.getItem('myGameSave');
-  if (!dataStr) return;
-  const data = JSON.parse(dataStr);
-  if (!data) return;
+// Small picture of the current view for the save menu
+function captureThumbnail() {
+  renderer.render(scene, camera); // The WebGL canvas is only readable right after rendering
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = 160;
+  thumbnail.height = 90;
+  thumbnail.getContext('2d').drawImage(renderer.domElement, 0, 0, 160, 90);
+  return thumbnail.toDataURL('image/jpeg', 0.7);
+}
 
-  currentScene = data.scene || 1;
-  moveCount = data.moveCount || 0;
-  actionHistory = data.actionHistory || [];
-  updateMoveCounter();
-  updateUndoButton();
-  loadScene(currentScene).then(() => {
-    if (physicsObjects.player) physicsObjects.player.loadFromData(data.player);
-    if (physicsObjects.block && data.block) physicsObjects.block.loadFromData(data.block);
-    if (physicsObjects.key && data.key) physicsObjects.key.loadFromData(data.key);
+async function saveGame() {
+  if (!canSave()) return;
+  try {
+    await writeAutoSave(getSaveData(), captureThumbnail());
+  } catch (error) {
+    console.warn('[Save] Auto-save failed:', error);
+  }
+}
+
+// Moves often come in quick succession; only the state after the last one needs writing
+const requestAutoSave = debounce(saveGame, AUTO_SAVE_DELAY);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') requestAutoSave.flush();
+});
+
+// Saves to a named slot: a new one when slotId is omitted
+async function saveToSlot(slotId, name) {
+  if (!canSave()) return;
+  if (slotId) {
+    await writeSlot(slotId, getSaveData(), { name, auto: false, thumbnail: captureThumbnail() });
+  } else {
+    await createSlot(getSaveData(), name, captureThumbnail());
+  }
+  showMessage(message, t('save.saved'));
+  setTimeout(() => (message.style.display = 'none'), 2000);
+}
+
+// Loads a slot, or the most recent save when slotId is omitted
+function loadGame(slotId) {
+  requestAutoSave.cancel(); // The game being replaced must not overwrite the newest save
+  return transitions.run(async () => {
+    const { id, data, error } = slotId ? await readSlot(slotId) : await readLatestSave();
+    if (error) {
+      // The unreadable save has been backed up; keep playing from a fresh start
+      reportCorruptSave();
+      return;
+    }
+    if (!data) return;
+
+    const loadedMessage = await buildScene(data.scene);
+
+    // Loading the scene resets the game state, so restore it afterwards
+    try {
+      worldState.deserialize(data.sceneStates);
+      returnLink = data.returnLink;
+      moveCount = data.moveCount;
+      inventory.setItems(data.inventory, data.itemColors);
+      restoreEntities(data.entities, data.spawnedKeys);
+      actionHistory = data.actionHistory;
+      redoStack = data.redoStack;
+    } catch (restoreError) {
+      // A valid save the game still cannot apply is treated like an unreadable one
+      await startFresh(id, data, restoreError);
+      return;
+    }
+    updateMoveCounter();
+    updateUndoButton();
+    return loadedMessage;
   });
 }
 
-// Make saveGame globally accessible for auto-save
-window.saveGame = saveGame;
+// Backs up a save (or undo checkpoint) that failed while being applied, and starts the game
+// over in scene 1. Only called from inside a transition.
+async function startFresh(slotId, data, error) {
+  await discardSave(slotId, data, error);
+  reportCorruptSave();
+  resetProgress();
+  await buildScene(1);
+}
+
+function reportCorruptSave() {
+  showMessage(message, t('save.corrupt'));
+  setTimeout(() => (message.style.display = 'none'), 5000);
+}
 
 // --- UI Message ---
 const message = document.createElement('div');
@@ -115,7 +235,7 @@ const updateMessageStyle = () => {
 };
 updateMessageStyle();
 document.body.appendChild(message);
-window.addEventListener('themeChanged', updateMessageStyle);
+events.on('theme:changed', updateMessageStyle);
 
 // --- Move Counter UI ---
 const moveCounter = document.createElement('div');
@@ -163,31 +283,12 @@ function incrementMoveCount() {
   updateMoveCounter();
 }
 
-function trackMoveAction(previousPosition) {
-  // Capture block's position before the move
-  let previousBlockPosition = null;
-  if (physicsObjects.block && physicsObjects.block.body) {
-    const blockPos = physicsObjects.block.body.translation();
-    previousBlockPosition = { x: blockPos.x, y: blockPos.y, z: blockPos.z };
-  }
-
-  // Track if key was already spawned before this move
-  const keyWasSpawned = keySpawned;
-
-  actionHistory.push({
-    type: 'move',
-    data: {
-      previousPosition,
-      previousBlockPosition,
-      keyWasSpawned,
-    },
-  });
-  updateUndoButton();
-}
-
-// Make functions globally accessible
-window.incrementMoveCount = incrementMoveCount;
-window.trackMoveAction = trackMoveAction;
+// Moves are undoable, counted and auto-saved
+events.on('player:beforeMove', () => recordAction('move'));
+events.on('player:moved', () => {
+  incrementMoveCount();
+  requestAutoSave();
+});
 
 // Initial setup
 updateMoveCounterStyle();
@@ -195,7 +296,7 @@ updateRTLPosition(moveCounter, moveCounterLTRPosition, moveCounterRTLPosition);
 // Text content will be set after translations load (see async init below)
 moveCounter.textContent = 'Moves: 0'; // Temporary placeholder
 document.body.appendChild(moveCounter);
-window.addEventListener('themeChanged', updateMoveCounterStyle);
+events.on('theme:changed', updateMoveCounterStyle);
 
 // --- Undo Button UI ---
 const undoButton = document.createElement('button');
@@ -236,11 +337,17 @@ const updateUndoButtonStyle = () => {
 
 function updateUndoButton() {
   undoButton.textContent = t('ui.undo');
+  undoButton.title = 'Ctrl+Z';
   undoButton.style.fontFamily = getCSSFontFamily(getCurrentLanguage());
   undoButton.disabled = actionHistory.length === 0;
   undoButton.style.opacity = actionHistory.length === 0 ? '0.5' : '1';
   undoButton.style.cursor = actionHistory.length === 0 ? 'not-allowed' : 'pointer';
   updateRTLPosition(undoButton, undoButtonLTRPosition, undoButtonRTLPosition);
+
+  // Redoable actions are stored most recent last, so they are reversed to follow the history
+  const actionTypes = [...actionHistory, ...[...redoStack].reverse()].map(action => action.type);
+  historyTimeline.update(actionTypes, actionHistory.length);
+  historyTimeline.updatePosition(undoButton);
 }
 
 undoButton.addEventListener('mouseenter', () => {
@@ -255,7 +362,7 @@ undoButton.addEventListener('mouseleave', () => {
 });
 
 undoButton.addEventListener('click', () => {
-  if (actionHistory.length === 0 || gameOver) return;
+  if (actionHistory.length === 0) return;
   undoLastAction();
 });
 
@@ -263,17 +370,34 @@ updateUndoButtonStyle();
 // Text content will be set after translations load (see async init below)
 undoButton.textContent = 'Undo'; // Temporary placeholder
 document.body.appendChild(undoButton);
-window.addEventListener('themeChanged', updateUndoButtonStyle);
+events.on('theme:changed', updateUndoButtonStyle);
+
+// --- History Timeline UI ---
+const historyTimeline = new HistoryTimeline(index => jumpToHistory(index));
+
+// Ctrl+Z undoes, Ctrl+Shift+Z redoes (Cmd on macOS)
+window.addEventListener('keydown', event => {
+  if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+  event.preventDefault();
+  jumpToHistory(actionHistory.length + (event.shiftKey ? 1 : -1));
+});
 
-window.addEventListener('languageChanged', () => {
+// Escape pauses and resumes
+window.addEventListener('keydown', event => {
+  if (event.key !== 'Escape') return;
+  if (gameState.is('playing')) gameState.transition('paused');
+  else if (gameState.is('paused')) gameState.transition('playing');
+});
+
+events.on('language:changed', () => {
   updateMoveCounter();
 });
 
-window.addEventListener('languageChanged', () => {
+events.on('language:changed', () => {
   updateUndoButton();
 });
 
-window.addEventListener('languageChanged', () => {
+events.on('language:changed', () => {
   message.style.fontFamily = getCSSFontFamily(getCurrentLanguage());
 });
 
@@ -285,237 +409,518 @@ function updateSceneTheme() {
 
 function updateGameObjectTheme() {
   const colors = getGameObjectColors();
+  const colorsByType = {
+    platform: colors.platformColor,
+    block: colors.blockColor,
+    goal: colors.goalColor,
+    teleporter: colors.teleporterColor,
+  };
 
-  // Update platform color
-  if (physicsObjects.platform?.mesh?.material) {
-    physicsObjects.platform.mesh.material.color.setHex(colors.platformColor);
+  for (const entity of entities.all()) {
+    const color = colorsByType[entity.type];
+    if (color !== undefined && entity.mesh?.material) entity.mesh.material.color.setHex(color);
   }
+}
 
-  // Update block color
-  if (physicsObjects.block?.mesh?.material) {
-    physicsObjects.block.mesh.material.color.setHex(colors.blockColor);
-  }
+events.on('theme:changed', updateSceneTheme);
+
+// --- Undo History ---
+// Each entry pairs a Rapier world snapshot with the game state Rapier does not
+// know about, both captured just before the action happened.
+function captureGameState() {
+  const handles = {};
+  for (const entity of entities.all()) handles[entity.id] = getPhysicsHandles(entity);
+
+  return {
+    moveCount,
+    spawnedKeys: [...spawnedKeys],
+    entities: entities.serialize(),
+    inventory: [...inventory.items],
+    handles,
+  };
+}
 
-  // Update goal color
-  if (physicsObjects.goal?.mesh?.material) {
-    physicsObjects.goal.mesh.material.color.setHex(colors.goalColor);
-  }
+function captureCheckpoint(type) {
+  return { type, snapshot: takeWorldSnapshot(world), state: captureGameState() };
+}
 
-  // Update teleporter color
-  if (physicsObjects.teleporter?.mesh?.material) {
-    physicsObjects.teleporter.mesh.material.color.setHex(colors.teleporterColor);
+function recordAction(type) {
+  actionHistory.push(captureCheckpoint(type));
+  // Every checkpoint holds a world snapshot, so only as many are kept as a save stores
+  if (actionHistory.length > SAVED_HISTORY_LIMIT) {
+    actionHistory.splice(0, actionHistory.length - SAVED_HISTORY_LIMIT);
   }
+  redoStack = []; // A new action replaces whatever had been undone
+  updateUndoButton();
 }
 
-window.addEventListener('themeChanged', updateSceneTheme);
+function restoreGameState(snapshot, state) {
+  // Keys may have been spawned or picked up since, so they are rebuilt from the record.
+  // The current ones are removed while their world still exists.
+  entities.getByTag('key').forEach(key => entities.remove(key.id));
 
-// --- Undo Function ---
-function undoLastAction() {
-  if (actionHistory.length === 0) return;
+  const restoredWorld = restoreWorldSnapshot(snapshot);
+  world.free();
+  world = restoredWorld;
+  if (window.__TEST_API__) window.__TEST_API__.world = world;
 
-  const lastAction = actionHistory.pop();
-
-  if (lastAction.type === 'move') {
-    // Undo player move: restore previous position
-    if (physicsObjects.player && lastAction.data.previousPosition) {
-      const pos = lastAction.data.previousPosition;
-      physicsObjects.player.body.setTranslation({ x: pos.x, y: pos.y, z: pos.z }, true);
-      physicsObjects.player.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
-      physicsObjects.player.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
-
-      // Undo block position if it was moved during this action
-      if (physicsObjects.block && lastAction.data.previousBlockPosition) {
-        const blockPos = lastAction.data.previousBlockPosition;
-        physicsObjects.block.body.setTranslation(
-          { x: blockPos.x, y: blockPos.y, z: blockPos.z },
-          true
-        );
-        physicsObjects.block.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
-        physicsObjects.block.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
-      }
+  for (const [id, handles] of Object.entries(state.handles)) {
+    const entity = entities.get(id);
+    if (entity) bindPhysicsHandles(entity, world, handles);
+    else if (handles.body !== null) world.removeRigidBody(world.getRigidBody(handles.body)); // A recorded key's body
+  }
+  restoreEntities(state.entities, state.spawnedKeys);
 
-      // Despawn key if it was spawned during this move
-      if (keySpawned && !lastAction.data.keyWasSpawned) {
-        if (physicsObjects.key) {
-          physicsObjects.key.destroy();
-          physicsObjects.key = null;
-        }
-        keySpawned = false;
-      }
+  inventory.setItems(state.inventory);
+  moveCount = state.moveCount;
+  pendingInputs = [];
+  physicsLoop.reset();
+
+  entities.invoke('savePreviousTransform');
+  entities.invoke('updateVisual');
+  updateMoveCounter();
+}
+
+// Applies saved entity states to the current scene. The scene's keys are replaced by the
+// saved ones, which are spawned where they were lying.
+function restoreEntities(savedEntities, savedSpawnedKeys) {
+  entities.getByTag('key').forEach(key => entities.remove(key.id));
+  spawnedKeys = new Set(savedSpawnedKeys);
+
+  for (const [id, state] of Object.entries(savedEntities)) {
+    const entity = entities.get(id);
+    const definition = currentLevel.entities.find(candidate => candidate.id === id);
+    if (entity) entity.deserialize?.(state);
+    else if (definition?.type === 'key' && state) spawnKey(definition, state);
+  }
+}
+
+// --- Undo / Redo ---
+// Index n is the state after the first n actions: 0 is the start of the scene,
+// actionHistory.length is now, and actionHistory.length + redoStack.length is the
+// latest state before anything was undone.
+function jumpToHistory(index) {
+  // Jumping in time would make a recording impossible to play back
+  if (replayRecorder || replayPlayer || !gameState.is('playing', 'paused')) return;
+
+  const target = Math.max(0, Math.min(index, actionHistory.length + redoStack.length));
+  if (target === actionHistory.length) return;
 
-      // Decrement move counter
-      moveCount = Math.max(0, moveCount - 1);
-      updateMoveCounter();
+  // The current state becomes the checkpoint that takes us back to where we are now
+  try {
+    while (actionHistory.length > target) {
+      const action = actionHistory.pop();
+      redoStack.push(captureCheckpoint(action.type));
+      restoreGameState(action.snapshot, action.state);
     }
-  } else if (lastAction.type === 'keyPickup') {
-    // Undo key pickup: remove from inventory and respawn key
-    inventory.removeLastItem('key');
-
-    if (lastAction.data.keyPosition && !physicsObjects.key) {
-      const keyPosition = new THREE.Vector3(
-        lastAction.data.keyPosition.x,
-        lastAction.data.keyPosition.y,
-        lastAction.data.keyPosition.z
-      );
-      physicsObjects.key = new Key(world, scene, keyPosition);
-      physicsObjects.key.onClick = () => {
-        inventory.addItem('key');
-        saveGame();
-      };
-      keySpawned = true;
+    while (actionHistory.length < target) {
+      const action = redoStack.pop();
+      actionHistory.push(captureCheckpoint(action.type));
+      restoreGameState(action.snapshot, action.state);
     }
+  } catch (error) {
+    // The history came from a save that cannot be applied. The game may be half restored, so
+    // only the history is backed up
+    const history = { scene: currentScene, actionHistory, redoStack };
+    transitions.run(() => startFresh(null, history, error)).catch(reportSceneLoadError);
+    return;
   }
 
   updateUndoButton();
-  saveGame();
+  requestAutoSave();
+}
+
+function undoLastAction() {
+  jumpToHistory(actionHistory.length - 1);
 }
 
 // --- Clear Scene Function ---
 function clearScene() {
-  // Remove any win/lose screen overlays
-  if (window.__winScreenOverlay) {
-    window.__winScreenOverlay.remove();
-    window.__winScreenOverlay = null;
-  }
-  if (window.__loseScreenOverlay) {
-    window.__loseScreenOverlay.remove();
-    window.__loseScreenOverlay = null;
-  }
+  // Stop reacting to the entities that are about to be removed
+  sceneSubscriptions.forEach(unsubscribe => unsubscribe());
+  sceneSubscriptions = [];
 
-  // Clear all Three.js scene objects (including GameLoseScene sprites)
-  while (scene.children.length > 0) {
-    const obj = scene.children[0];
-    scene.remove(obj);
-    if (obj.geometry) obj.geometry.dispose();
-    if (obj.material) {
-      if (obj.material.map) obj.material.map.dispose();
-      obj.material.dispose();
-    }
-  }
+  // Entities free their own physics bodies and meshes
+  entities.clear();
 
-  // Clear physics objects
-  if (world) {
-    Object.values(physicsObjects).forEach(obj => {
-      if (obj && obj.collider) world.removeCollider(obj.collider, true);
-      if (obj && obj.body) world.removeRigidBody(obj.body);
-    });
+  // Clear the remaining Three.js scene objects (such as the end screen sprites), keeping the lights
+  const sceneLights = Object.values(lights);
+  for (const obj of [...scene.children]) {
+    if (sceneLights.includes(obj)) continue;
+    scene.remove(obj);
+    disposeObject(obj);
   }
 
-  physicsObjects = {
-    platform: null,
-    block: null,
-    player: null,
-    goal: null,
-    key: null,
-    teleporter: null,
-  };
-
-  keySpawned = false;
-  gameOver = false;
+  spawnedKeys = new Set();
+  pendingInputs = [];
+  physicsLoop.reset();
   actionHistory = [];
+  redoStack = [];
   updateUndoButton();
 }
 
-// --- Load Scene Function ---
-async function loadScene(sceneNumber) {
+// --- Scene Transitions ---
+// Scene and save loads fade the scene out and back in; requests made while one is
+// running are ignored (see sceneTransition.js)
+const transitions = new SceneTransitionManager(gameState, {
+  showMessage: (text, duration) => {
+    showMessage(message, text);
+    if (duration) setTimeout(() => (message.style.display = 'none'), duration);
+  },
+});
+
+// Replaces the current scene with a freshly built one. Only called from inside a transition.
+// The player starts at the spawn point with the given id, or at its level position if omitted.
+// With freshWorld, the scene is built in a new physics world instead of the emptied one.
+async function buildScene(sceneNumber, spawnId, { freshWorld = false } = {}) {
   clearScene();
+  if (import.meta.env.DEV) checkForLeaks(renderer, world, currentScene);
+  if (freshWorld) await replaceWorld();
   currentScene = sceneNumber;
 
-  if (sceneNumber === 1) await loadScene1();
-  else if (sceneNumber === 2) await loadScene2();
+  const level = await loadLevel(sceneNumber);
+  await buildLevel(level, spawnId);
 
-  showMessage(message, t('scene.loaded', { sceneNumber }));
-  setTimeout(() => (message.style.display = 'none'), 2000);
+  events.emit('scene:loaded', { sceneNumber });
+  return t('scene.loaded', { sceneNumber });
+}
+
+// --- Load Scene Function ---
+// Resolves with false if another transition was already running
+function loadScene(sceneNumber, { message: transitionMessage } = {}) {
+  return transitions.run(() => buildScene(sceneNumber), { message: transitionMessage });
+}
+
+// Leaves the current scene for another, arriving at the given spawn point. The scene being
+// left is kept in the world state store, and the target scene is restored from it if the
+// player has been there before. Resolves with false if another transition was already running
+function travelToScene(sceneNumber, { spawn, message: transitionMessage } = {}) {
+  return transitions.run(
+    async () => {
+      worldState.save(currentScene, captureSceneState());
+      const loadedMessage = await buildScene(sceneNumber, spawn);
+
+      const saved = worldState.get(sceneNumber);
+      if (saved) restoreEntities(saved.entities, saved.spawnedKeys);
+      return loadedMessage;
+    },
+    { message: transitionMessage }
+  );
+}
+
+// State of the current scene for the world state store. The player is left out: it
+// enters a scene at the level's start position, not where it left.
+function captureSceneState() {
+  const sceneEntities = Object.entries(entities.serialize()).filter(
+    ([id]) => !entities.get(id).tags.has('player')
+  );
+  return { entities: Object.fromEntries(sceneEntities), spawnedKeys: [...spawnedKeys] };
+}
+
+// --- Game State Hooks ---
+function retry() {
+  resetProgress();
+  loadScene(1).catch(reportSceneLoadError);
+}
+
+// Resets the progress kept across scenes; the scene itself is reset by loading it
+function resetProgress() {
+  moveCount = 0;
+  inventory.clear();
+  worldState.clear(); // Every scene starts over
+  returnLink = null;
+  updateMoveCounter();
+}
+
+// Tells the player a scene could not be loaded, and gives them back control of the game
+function reportSceneLoadError(error) {
+  console.error('[Level] Scene load failed:', error);
+  showMessage(message, t('scene.loadFailed', { error: error.message }));
+  setTimeout(() => (message.style.display = 'none'), 4000);
+  if (!gameState.is('playing')) gameState.transition('playing');
+}
+
+// The end screens are loaded on demand, so the game may have moved on by the time one is ready
+async function showEndScreen(state, show) {
+  const hide = await show();
+  if (gameState.is(state)) hideEndScreen = hide;
+  else hide();
 }
 
+gameState.onEnter('won', () =>
+  showEndScreen('won', async () => {
+    const { showWinScreen } = await import('./GameWinScene.js');
+    return showWinScreen(scene, t('game.win'), moveCount);
+  })
+);
+
+gameState.onEnter('lost', () =>
+  showEndScreen('lost', async () => {
+    const { showLoseScreen } = await import('./GameLoseScene.js');
+    return showLoseScreen(scene, t('game.lose'), retry, camera);
+  })
+);
+
+['won', 'lost'].forEach(state =>
+  gameState.onExit(state, () => {
+    hideEndScreen?.();
+    hideEndScreen = null;
+  })
+);
+
+gameState.onEnter('paused', () => {
+  replayControls?.setPaused(true);
+  // Replays show their pause state in the replay controls
+  if (!replayPlayer) showMessage(message, t('game.paused'));
+});
+
+gameState.onExit('paused', () => {
+  replayControls?.setPaused(false);
+  if (!replayPlayer) message.style.display = 'none';
+});
+
 // --- Initialize Physics World ---
+function applyWorldConfig(worldConfig) {
+  world.gravity = { ...worldConfig.gravity };
+  world.timestep = worldConfig.timestep;
+  world.numSolverIterations = worldConfig.solverIterations;
+  physicsLoop.configure(worldConfig.timestep, worldConfig.maxStepsPerFrame);
+}
+
+// Swaps the physics world for a new one built from the world config. An emptied world still
+// differs from a new one (handles are reused, undo swaps in restored worlds), so replays are
+// recorded and played in new worlds to get the same solver order.
+async function replaceWorld() {
+  const worldConfig = await getWorldConfig();
+  world.free();
+  world = new RAPIER.World({ ...worldConfig.gravity });
+  applyWorldConfig(worldConfig);
+  if (window.__TEST_API__) window.__TEST_API__.world = world;
+}
+
 async function initPhysics() {
-  if (!world) world = new RAPIER.World({ x: 0.0, y: -9.81, z: 0.0 });
-  await loadScene1();
+  const worldConfig = await getWorldConfig();
+  if (!world) world = new RAPIER.World({ ...worldConfig.gravity });
+  applyWorldConfig(worldConfig);
+  await buildLevel(await loadLevel(currentScene));
+
+  // Surface DSL problems on screen during development instead of only in the console
+  if (import.meta.env.DEV) showDiagnosticsPanel(await getConfigErrors());
 }
 
-// --- Scene 1 ---
-async function loadScene1() {
-  const playerConfig = await getPlayerConfig();
-  const blockConfig = await getBlockConfig();
+// --- Entity Building ---
+// Context the entity factories build with (see entityFactories.js)
+function getBuildContext() {
+  return { world, scene, configs: entityConfigs };
+}
 
-  physicsObjects.platform = new Platform(world, scene);
-  physicsObjects.block = new Block(world, scene, physicsObjects.platform.top, blockConfig);
-  physicsObjects.goal = new Goal(world, scene, physicsObjects.platform.top);
-  physicsObjects.teleporter = new Teleporter(world, scene, physicsObjects.platform.top);
+// Spawns one of the level's keys, at its level position or where a saved key was lying
+function spawnKey(definition, position) {
+  // Level positions are relative to the platform top, saved positions are not
+  const top = entities.first('platform')?.top ?? 0;
+  const placed = position
+    ? { ...definition, position: { ...position, y: position.y - top } }
+    : definition;
+  spawnedKeys.add(definition.id);
+  return entities.create('key', placed, getBuildContext());
+}
 
-  // Apply theme colors to game objects
-  updateGameObjectTheme();
-  applySceneTheme(scene, lights);
+events.on('item:picked', ({ item, color }) => {
+  recordAction('keyPickup'); // Before the key leaves the world and enters the inventory
+  inventory.addItem(item, color);
+  requestAutoSave();
+});
 
-  physicsObjects.teleporter.onPlayerEnter = () => {
-    showMessage(message, t('teleporter.scene2'));
-    gameOver = true;
-    loadScene(2);
-  };
+events.on('door:unlocked', () => requestAutoSave()); // The door may have used the key up
 
-  physicsObjects.player = new Player(world, scene, physicsObjects.platform.top, playerConfig);
+// Once the storage is full every auto-save drops the history again, so auto-saves only tell
+// the player the first time. Saving by hand always does.
+let historyDropReported = false;
+events.on('save:historyDropped', ({ auto }) => {
+  if (auto && historyDropReported) return;
+  historyDropReported = true;
+  showMessage(message, t('save.historyDropped'));
+  setTimeout(() => (message.style.display = 'none'), 5000);
+});
 
-  camera.position.set(6, 10, 6);
-  camera.lookAt(0, 0, 0);
-}
+// --- Level Building ---
+async function buildLevel(level, spawnId) {
+  currentLevel = level;
+  entityConfigs = await loadEntityConfigs();
 
-// --- Scene 2 ---
-async function loadScene2() {
-  const playerConfig = await getPlayerConfig();
-  physicsObjects.platform = new Platform(world, scene);
-  physicsObjects.teleporter = new Teleporter(
-    world,
-    scene,
-    physicsObjects.platform.top,
-    new THREE.Vector3(4, 0, -4)
+  // Build in ENTITY_TYPES order: the platform comes first because every other
+  // entity is placed relative to its top, and doors need the player to exist
+  const definitions = [...level.entities].sort(
+    (a, b) => ENTITY_TYPES.indexOf(a.type) - ENTITY_TYPES.indexOf(b.type)
   );
 
+  for (const definition of definitions) {
+    switch (definition.type) {
+      case 'key':
+        // Keys with a trigger appear once it happens (see stepSimulation)
+        if (definition.spawnOn !== 'blockAtGoal') spawnKey(definition);
+        break;
+
+      case 'player': {
+        // Arriving through a teleporter or door puts the player at the spawn point it names
+        const spawn = spawnId && findSpawnPoint(level, spawnId);
+        const placed = spawn ? { ...definition, position: spawn.position } : definition;
+        entities.create('player', placed, getBuildContext());
+        break;
+      }
+
+      case 'spawnPoint':
+        break; // Only a marker for the player's position (see above)
+
+      case 'teleporter': {
+        const teleporter = entities.create('teleporter', definition, getBuildContext());
+        sceneSubscriptions.push(
+          events.on('teleporter:entered', event => {
+            if (event.teleporter === teleporter) travelThrough(definition);
+          })
+        );
+        break;
+      }
+
+      case 'lockedDoor': {
+        const door = entities.create('lockedDoor', definition, getBuildContext());
+        sceneSubscriptions.push(
+          events.on('door:passed', event => {
+            if (event.door !== door) return;
+            // A door without a destination is the way out of the game
+            if (definition.target !== undefined) travelThrough(definition);
+            else if (definition.spawn) movePlayerToSpawn(definition.spawn);
+            else gameState.transition('won');
+          })
+        );
+        break;
+      }
+
+      default:
+        entities.create(definition.type, definition, getBuildContext());
+    }
+  }
+
   // Apply theme colors to game objects
   updateGameObjectTheme();
   applySceneTheme(scene, lights);
 
-  physicsObjects.teleporter.onPlayerEnter = () => {
-    showMessage(message, t('teleporter.scene1'));
-    gameOver = true;
-    loadScene(1);
+  const cameraPosition = toVector(level.camera?.position, { x: 6, y: 10, z: 6 });
+  const cameraTarget = toVector(level.camera?.lookAt);
+  camera.position.set(cameraPosition.x, cameraPosition.y, cameraPosition.z);
+  camera.lookAt(cameraTarget.x, cameraTarget.y, cameraTarget.z);
+}
+
+// Finds a spawn point of a level by id
+function findSpawnPoint(level, spawnId) {
+  const spawn = level.entities.find(
+    entity => entity.type === 'spawnPoint' && entity.id === spawnId
+  );
+  if (!spawn) console.warn(`[Level] Spawn point "${spawnId}" not found`);
+  return spawn ?? null;
+}
+
+// Moves the player to a spawn point of the current scene, bringing it to rest
+function movePlayerToSpawn(spawnId) {
+  const spawn = findSpawnPoint(currentLevel, spawnId);
+  const player = entities.first('player');
+  if (!spawn || !player) return;
+  player.spawnAt(entities.first('platform')?.top ?? 0, toVector(spawn.position));
+}
+
+// Travels to where a teleporter or door leads. Return links lead back the way the player
+// came (or to their target if there is no way back); other passages record the way back.
+function travelThrough(definition) {
+  const from = {
+    scene: currentScene,
+    ...(definition.returnSpawn && { spawn: definition.returnSpawn }),
   };
+  const destination =
+    definition.returnLink && returnLink
+      ? returnLink
+      : { scene: definition.target, spawn: definition.spawn };
+  if (destination.scene === undefined) return; // A return link with nowhere to return to
+
+  const transitionMessage = definition.message && t(definition.message);
+  travelToScene(destination.scene, { spawn: destination.spawn, message: transitionMessage })
+    .then(loaded => {
+      if (!loaded) return;
+      returnLink = definition.returnLink ? null : from;
+      saveGame(); // Keep progress, including the inventory
+    })
+    .catch(reportSceneLoadError);
+}
 
-  physicsObjects.player = new Player(world, scene, physicsObjects.platform.top, playerConfig);
-  if (physicsObjects.player.body)
-    physicsObjects.player.body.setTranslation(
-      { x: 0, y: physicsObjects.platform.top + 0.3, z: -2 },
-      true
-    );
+// --- Physics Preset Switching ---
+// Applies the current config to the entities of the given types that can change in place
+async function applyEntityConfigs(types) {
+  applyWorldConfig(await getWorldConfig());
+  entityConfigs = await loadEntityConfigs();
+  for (const entity of entities.all()) {
+    if (!types.includes(entity.type)) continue;
+    entity.applyConfig(getEntityConfig(entityConfigs, entity.definition, entity.type));
+  }
+}
 
-  camera.position.set(6, 10, 6);
-  camera.lookAt(0, 0, 0);
+async function rebuildPhysicsEntities() {
+  if (!world || !currentLevel) return;
 
-  // Locked Door
-  import('./lockedDoor.js').then(({ LockedDoor }) => {
-    const doorPos = new THREE.Vector3(-4, physicsObjects.platform.top, 3);
-    const dummyDestination = new THREE.Vector3(0, physicsObjects.platform.top, 0);
+  await applyEntityConfigs(['platform', 'goal']);
 
-    physicsObjects.lockedDoor = new LockedDoor(
-      world,
-      scene,
-      physicsObjects.player,
-      dummyDestination,
-      doorPos
-    );
+  // Rebuilt with the new config, carrying the current motion state over
+  for (const entity of [...entities.getByTag('player'), ...entities.getByTag('block')]) {
+    const state = entity.serialize();
+    entities.rebuild(entity, getBuildContext()).deserialize(state);
+  }
+  entities.getByTag('lockedDoor').forEach(door => (door.player = entities.first('player')));
 
-    if (physicsObjects.lockedDoor?.mesh?.material) {
-      physicsObjects.lockedDoor.mesh.material.color = new THREE.Color(0x8000ff);
-      physicsObjects.lockedDoor.mesh.material.needsUpdate = true;
-    }
+  updateGameObjectTheme();
+}
 
-    physicsObjects.lockedDoor.onWin = () => {
-      import('./GameWinScene.js').then(({ showWinScreen }) => {
-        import('./i18n/translations.js').then(({ t }) =>
-          showWinScreen(scene, t('game.win'), moveCount)
-        );
-      });
-    };
+// Preset changes wait until the game is playing: transitions build their scene from the
+// config anyway, and a rebuild must not change the physics under a running replay
+let presetChangePending = false;
+
+function canApplyPresetChange() {
+  return gameState.is('playing') && !replayRecorder && !replayPlayer;
+}
+
+async function applyPresetChange() {
+  presetChangePending = false;
+  try {
+    await rebuildPhysicsEntities();
+  } catch (error) {
+    console.error('[Physics] Could not apply the physics preset:', error);
+    showMessage(message, t('difficulty.applyFailed', { error: error.message }));
+    setTimeout(() => (message.style.display = 'none'), 4000);
+  }
+  if (import.meta.env.DEV) showDiagnosticsPanel(await getConfigErrors());
+}
+
+events.on('physics:presetChanged', () => {
+  if (canApplyPresetChange()) applyPresetChange();
+  else presetChangePending = true;
+});
+
+gameState.onEnter('playing', () => {
+  if (presetChangePending && canApplyPresetChange()) applyPresetChange();
+});
+
+// --- Physics Config Hot Reload (dev server only) ---
+async function applyPhysicsConfig() {
+  if (!currentLevel) return;
+  await applyEntityConfigs(['player', 'block', 'platform', 'goal']);
+}
+
+if (import.meta.hot) {
+  import.meta.hot.on('physics-config:update', async ({ url }) => {
+    // Presets that extend the edited file change too
+    if (!getCurrentPresetFiles().includes(url)) return;
+
+    await reloadPhysicsConfig();
+    showDiagnosticsPanel(await getConfigErrors());
+    await applyPhysicsConfig();
+    console.log(`[Physics Config] Hot-reloaded ${url}`);
   });
 }
 
@@ -543,12 +948,38 @@ renderer.render(scene, camera);
 (async () => {
   initTheme(); // Initialize theme system first
   await initTranslations();
+  await initPhysicsPreset();
   initLanguageSelector();
+  initDifficultySelector();
+  initSaveMenu({
+    onSave: saveToSlot,
+    onLoad: slotId => {
+      if (replayRecorder || replayPlayer) return;
+      return loadGame(slotId);
+    },
+    // The scene stands still while the menu is open
+    onToggle: open => {
+      if (open && gameState.is('playing')) gameState.transition('menu');
+      else if (!open && gameState.is('menu')) gameState.transition('playing');
+    },
+    onMessage: text => {
+      showMessage(message, text);
+      setTimeout(() => (message.style.display = 'none'), 3000);
+    },
+  });
+  replayControls = initReplayControls({
+    onRecord: startRecording,
+    onStopRecording: stopRecording,
+    onLoad: loadReplayFile,
+    onTogglePause: () => gameState.transition(gameState.is('paused') ? 'playing' : 'paused'),
+    onSpeedChange: speed => (replayPlayer.speed = speed),
+    onExit: exitPlayback,
+  });
   document.title = t('page.title');
   inventory.updatePosition?.();
   updateMoveCounter(); // Update move counter with translations
   updateUndoButton(); // Update undo button with translations
-  window.addEventListener('languageChanged', () => (document.title = t('page.title')));
+  events.on('language:changed', () => (document.title = t('page.title')));
 })();
 
 const game = new Phaser.Game(config);
@@ -557,13 +988,14 @@ const game = new Phaser.Game(config);
 async function create() {
   try {
     await initPhysics();
-    loadGame(); // Load saved progress
+    await loadGame(); // Load saved progress
 
     window.__TEST_API__ = {
-      physicsObjects,
+      entities,
       showMessage: text => showMessage(message, text),
       checkBlockGoal,
       isGameOver,
+      gameState,
       world,
     };
   } catch {
@@ -572,7 +1004,9 @@ async function create() {
 
   // Pointer input
   this.input.on('pointerdown', pointer => {
-    if (gameOver || !physicsObjects.player || !physicsObjects.platform) return;
+    if (!gameState.is('playing') || replayPlayer) return;
+    const platform = entities.first('platform');
+    if (!entities.first('player') || !platform) return;
 
     const mouse = new THREE.Vector2(
       (pointer.x / window.innerWidth) * 2 - 1,
@@ -582,18 +1016,21 @@ async function create() {
     raycaster.setFromCamera(mouse, camera);
 
     // Key click
-    if (physicsObjects.key?.checkClick(raycaster)) {
-      physicsObjects.key.destroy();
-      physicsObjects.key = null;
+    const clickedKey = entities.getByTag('key').find(key => key.isClicked(raycaster));
+    if (clickedKey) {
+      pendingInputs.push({ type: 'keyPickup', id: clickedKey.id });
       return;
     }
 
     // Move player
-    const intersects = raycaster.intersectObject(physicsObjects.platform.mesh);
+    const intersects = raycaster.intersectObject(platform.mesh);
     if (intersects.length > 0) {
       const clickPoint = intersects[0].point.clone();
-      clickPoint.y = physicsObjects.platform.mesh.position.y + 0.25 + 0.3;
-      physicsObjects.player.move(clickPoint);
+      clickPoint.y = platform.mesh.position.y + 0.25 + 0.3;
+      pendingInputs.push({
+        type: 'move',
+        point: { x: clickPoint.x, y: clickPoint.y, z: clickPoint.z },
+      });
     }
   });
 
@@ -601,61 +1038,200 @@ async function create() {
 }
 
 // --- Update Loop ---
-function update(_time, _delta) {
-  if (!world || gameOver) {
+function update(_time, delta) {
+  if (!world || !gameState.is('playing')) {
     renderer.render(scene, camera);
     return;
   }
 
+  // Physics advances in fixed steps; meshes are drawn between the last two steps
+  const alpha = physicsLoop.advance(delta * (replayPlayer?.speed ?? 1), stepSimulation);
+  entities.invoke('updateVisual', alpha);
+
+  if (replayPlayer) {
+    replayControls.setProgress(simulationTick, replayPlayer.replay.endTick);
+    if (gameState.is('playing') && replayPlayer.isFinished(simulationTick)) finishPlayback();
+  }
+
+  renderer.render(scene, camera);
+}
+
+// --- Fixed Physics Step ---
+function stepSimulation() {
+  // Apply clicks at a step boundary so they have the same effect at any frame rate
+  const inputs = replayPlayer ? replayPlayer.takeInputs(simulationTick) : pendingInputs.splice(0);
+  replayRecorder?.record(simulationTick, inputs);
+  inputs.forEach(applyInput);
+  simulationTick++;
+
+  entities.invoke('savePreviousTransform');
   world.step();
 
-  [physicsObjects.player, physicsObjects.block].filter(Boolean).forEach(obj => obj.updateVisual());
-  physicsObjects.lockedDoor?.update?.();
-
-  const blockAtGoal = checkBlockGoal(physicsObjects);
-  if (blockAtGoal && !keySpawned) {
-    const keyPosition = new THREE.Vector3(0, physicsObjects.platform.top + 1, 0);
-    physicsObjects.key = new Key(world, scene, keyPosition);
-    physicsObjects.key.onClick = () => {
-      // Track key pickup action for undo
-      actionHistory.push({
-        type: 'keyPickup',
-        data: {
-          keyPosition: { x: keyPosition.x, y: keyPosition.y, z: keyPosition.z },
-        },
-      });
-      inventory.addItem('key');
-      updateUndoButton();
-      saveGame();
-    };
-    keySpawned = true;
+  entities.update();
+  if (!gameState.is('playing')) return false; // A door was opened and the game won
+
+  if (checkBlockGoal(entities)) {
+    currentLevel.entities
+      .filter(entity => entity.spawnOn === 'blockAtGoal' && !spawnedKeys.has(entity.id))
+      .forEach(entity => spawnKey(entity));
   }
 
-  if (!gameOver && physicsObjects.teleporter?.isPlayerTouching(world, physicsObjects.player))
-    physicsObjects.teleporter.trigger();
-
-  const wasGameOver = gameOver;
-  gameOver = isGameOver(physicsObjects, message);
-
-  // Show lose screen when game over is triggered
-  if (gameOver && !wasGameOver) {
-    import('./GameLoseScene.js').then(({ showLoseScreen }) => {
-      showLoseScreen(
-        scene,
-        t('game.lose'),
-        () => {
-          // Reset game state and reload scene 1
-          gameOver = false;
-          keySpawned = false;
-          moveCount = 0;
-          inventory.clear(); // Clear inventory on retry
-          updateMoveCounter();
-          loadScene(1);
-        },
-        camera
-      );
-    });
+  const player = entities.first('player');
+  const teleporter = entities
+    .getByTag('teleporter')
+    .find(candidate => candidate.isPlayerTouching(world, player));
+  teleporter?.trigger();
+  if (!gameState.is('playing')) return false; // The teleporter is loading another scene
+
+  // Portals move the player within the scene, at most once per step
+  entities
+    .getByTag('portal')
+    .some(portal => portal.transport(world, player, entities.get(portal.definition.pair)));
+
+  if (isGameOver(entities, message)) {
+    gameState.transition('lost');
+    if (replayPlayer) finishPlayback();
+    return false;
   }
 
-  renderer.render(scene, camera);
+  return true;
+}
+
+function applyInput(input) {
+  if (input.type === 'move') {
+    entities.first('player')?.move(input.point);
+  } else if (input.type === 'keyPickup') {
+    // Replays recorded before keys had ids pick up the only key there was
+    const key = input.id ? entities.get(input.id) : entities.first('key');
+    if (!key) return;
+    key.pickUp();
+    entities.remove(key.id);
+  }
+}
+
+// --- Replay Recording and Playback ---
+// Both start from a freshly loaded scene in a new physics world, so the recorded ticks line up
+// with the physics. Resolves with false if the scene could not be reloaded because another
+// transition was running
+async function restartSceneForReplay(sceneNumber) {
+  const restarted = await transitions.run(() =>
+    buildScene(sceneNumber, undefined, { freshWorld: true })
+  );
+  if (!restarted) return false;
+  moveCount = 0;
+  updateMoveCounter();
+  simulationTick = 0;
+  return true;
+}
+
+async function startRecording() {
+  if (replayRecorder || replayPlayer || !gameState.is('playing')) return;
+
+  // Stopping the recording goes back to the game as it is now, through the save
+  requestAutoSave.cancel();
+  await saveGame();
+  gameBeforeReplay = captureGameBeforeReplay();
+  if (!(await restartSceneForReplayOrRestore(currentScene))) return;
+  replayRecorder = new ReplayRecorder({
+    scene: currentScene,
+    preset: getCurrentPreset(),
+    inventory: inventory.items,
+    sceneStates: worldState.serialize(),
+    returnLink,
+  });
+  replayControls.setMode('recording');
+}
+
+function stopRecording() {
+  if (!replayRecorder) return;
+
+  downloadReplay(replayRecorder.finish(simulationTick));
+  replayRecorder = null;
+  replayControls.setMode('idle');
+  showMessage(message, t('replay.saved'));
+  setTimeout(() => (message.style.display = 'none'), 2000);
+
+  // Nothing was saved while recording, so the save still holds the game from before it
+  restoreGameBeforeReplay();
+  loadGame().catch(reportSceneLoadError);
+}
+
+async function loadReplayFile(file) {
+  let replay;
+  try {
+    replay = await readReplayFile(file);
+  } catch (error) {
+    console.warn('[Replay] Invalid replay file:', error.message);
+    showMessage(message, t('replay.invalid', { error: error.message }));
+    setTimeout(() => (message.style.display = 'none'), 4000);
+    return;
+  }
+
+  if (replay.preset && replay.preset !== getCurrentPreset()) {
+    console.warn(
+      `[Replay] Recorded with preset "${replay.preset}", playing with "${getCurrentPreset()}"`
+    );
+    showMessage(message, t('replay.presetMismatch', { preset: t(`difficulty.${replay.preset}`) }));
+    setTimeout(() => (message.style.display = 'none'), 4000);
+  }
+
+  gameBeforeReplay = captureGameBeforeReplay();
+  // Teleporters lead to the scenes as they were when the replay was recorded
+  inventory.setItems(replay.inventory ?? []);
+  worldState.deserialize(replay.sceneStates);
+  returnLink = replay.returnLink ?? null;
+  if (!(await restartSceneForReplayOrRestore(replay.scene))) return;
+  replayPlayer = new ReplayPlayer(replay);
+  replayControls.setMode('playing');
+}
+
+function finishPlayback() {
+  if (gameState.is('playing')) gameState.transition('paused');
+  showMessage(message, t('replay.finished'));
+  setTimeout(() => (message.style.display = 'none'), 2000);
+}
+
+function exitPlayback() {
+  if (!replayPlayer) return;
+
+  // Nothing was saved during playback, so the save still holds the player's own game
+  replayPlayer = null;
+  replayControls.setMode('idle');
+  restoreGameBeforeReplay();
+  loadGame().catch(reportSceneLoadError);
+}
+
+// Game state outside the scene that recording or playback replaces
+function captureGameBeforeReplay() {
+  return {
+    inventory: [...inventory.items],
+    sceneStates: worldState.serialize(),
+    returnLink,
+    moveCount,
+  };
+}
+
+// Puts back the game state from before a recording or playback, in case there is no save
+// to load
+function restoreGameBeforeReplay() {
+  inventory.setItems(gameBeforeReplay.inventory);
+  worldState.deserialize(gameBeforeReplay.sceneStates);
+  returnLink = gameBeforeReplay.returnLink;
+  moveCount = gameBeforeReplay.moveCount;
+  updateMoveCounter();
+  gameBeforeReplay = null;
+}
+
+// Restarts the scene for a recording or playback. If it could not be restarted, the game
+// state from before is put back and a failed load is reported. Resolves with true on success
+async function restartSceneForReplayOrRestore(sceneNumber) {
+  let restarted = false;
+  try {
+    restarted = await restartSceneForReplay(sceneNumber);
+  } catch (error) {
+    reportSceneLoadError(error);
+  } finally {
+    if (!restarted) restoreGameBeforeReplay();
+  }
+  return restarted;
 }
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
+import { disposeEntity } from './entityManager.js';
 
 /**
  * Platform class that manages the ground platform
@@ -9,19 +10,34 @@ export class Platform {
    * Creates a new Platform instance
    * @param {RAPIER.World} world - The Rapier physics world
    * @param {THREE.Scene} scene - The Three.js scene
+   * @param {Object} size - Platform dimensions {x, y, z} (optional, defaults to 10 x 0.5 x 10)
+   * @param {Object} position - Platform center {x, y, z} (optional, defaults to (0, -1, 0))
+   * @param {Object} config - Platform physics configuration {friction} (optional)
    */
-  constructor(world, scene) {
-    const platformGeometry = new THREE.BoxGeometry(10, 0.5, 10);
+  constructor(
+    world,
+    scene,
+    size = { x: 10, y: 0.5, z: 10 },
+    position = { x: 0, y: -1, z: 0 },
+    config = {}
+  ) {
+    this.world = world;
+    this.scene = scene;
+    const platformGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
     const platformMaterial = new THREE.MeshBasicMaterial({ color: 0x444444 });
     this.mesh = new THREE.Mesh(platformGeometry, platformMaterial);
-    this.mesh.position.y = -1;
+    this.mesh.position.set(position.x, position.y, position.z);
     scene.add(this.mesh);
 
     this.top = this.mesh.position.y + platformGeometry.parameters.height / 2;
-    this.halfSize = 5;
+    this.halfExtents = { x: size.x / 2, z: size.z / 2 };
 
     // Create static platform physics body
-    const platformColliderDesc = RAPIER.ColliderDesc.cuboid(5, 0.25, 5);
+    const platformColliderDesc = RAPIER.ColliderDesc.cuboid(
+      size.x / 2,
+      size.y / 2,
+      size.z / 2
+    ).setFriction(config.friction ?? 0.5);
     const platformBodyDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(
       this.mesh.position.x,
       this.mesh.position.y,
@@ -30,4 +46,32 @@ export class Platform {
     this.body = world.createRigidBody(platformBodyDesc);
     this.collider = world.createCollider(platformColliderDesc, this.body);
   }
+
+  /**
+   * Applies new physics values to the existing platform collider
+   * @param {Object} config - Platform physics configuration {friction}
+   */
+  applyConfig(config) {
+    if (typeof config.friction === 'number') this.collider.setFriction(config.friction);
+  }
+
+  /**
+   * Checks whether a point lies above the platform's footprint
+   * @param {Object} position - Point {x, z} to test
+   * @returns {boolean} True if the point is within the platform bounds
+   */
+  contains(position) {
+    const center = this.mesh.position;
+    return (
+      Math.abs(position.x - center.x) <= this.halfExtents.x &&
+      Math.abs(position.z - center.z) <= this.halfExtents.z
+    );
+  }
+
+  /**
+   * Removes the platform from the physics world and the scene
+   */
+  dispose() {
+    disposeEntity(this);
+  }
 }
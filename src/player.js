@@ -1,8 +1,15 @@
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
+import { snapshotTransform, interpolateTransform } from './fixedStepLoop.js';
+import { getBodyState, setBodyState } from './worldSnapshot.js';
+import { disposeEntity } from './entityManager.js';
+import { events } from './events.js';
+import { COLLIDER_SIZES } from './colliderSizes.js';
+
+const SIZE = COLLIDER_SIZES.player;
 
 export class Player {
-  constructor(world, scene, platformTop, config = {}) {
+  constructor(world, scene, platformTop, config = {}, position = { x: 0, y: 0, z: 2 }) {
     const {
       friction = 0.75,
       minForce = 1.0,
@@ -16,10 +23,10 @@ export class Player {
     this.scene = scene;
     this.world = world;
 
-    const playerGeometry = new THREE.BoxGeometry(0.6, 0.6, 0.6);
+    const playerGeometry = new THREE.BoxGeometry(SIZE.x, SIZE.y, SIZE.z);
     const playerMaterial = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
     this.mesh = new THREE.Mesh(playerGeometry, playerMaterial);
-    this.mesh.position.set(0, platformTop + 0.3, 2);
+    this.mesh.position.set(position.x, platformTop + position.y + SIZE.y / 2, position.z);
     scene.add(this.mesh);
 
     const playerBodyDesc = RAPIER.RigidBodyDesc.dynamic()
@@ -27,8 +34,28 @@ export class Player {
       .setAngularDamping(angularDamping)
       .setTranslation(this.mesh.position.x, this.mesh.position.y, this.mesh.position.z);
     this.body = world.createRigidBody(playerBodyDesc);
-    const playerColliderDesc = RAPIER.ColliderDesc.cuboid(0.3, 0.3, 0.3).setFriction(friction);
+    const playerColliderDesc = RAPIER.ColliderDesc.cuboid(
+      SIZE.x / 2,
+      SIZE.y / 2,
+      SIZE.z / 2
+    ).setFriction(friction);
     this.collider = world.createCollider(playerColliderDesc, this.body);
+
+    // Transform before the latest physics step, used to interpolate the mesh
+    this.previousTransform = snapshotTransform(this.body);
+  }
+
+  /**
+   * Re-applies physics settings to the live body and collider
+   * Position and velocity are left untouched.
+   * @param {Object} config - Player configuration (friction, minForce, maxForce, damping)
+   */
+  applyConfig({ friction, minForce, maxForce, linearDamping, angularDamping }) {
+    this.minForce = minForce;
+    this.maxForce = maxForce;
+    this.body.setLinearDamping(linearDamping);
+    this.body.setAngularDamping(angularDamping);
+    this.collider.setFriction(friction);
   }
 
   move(clickPoint) {
@@ -36,48 +63,83 @@ export class Player {
     const dir = new THREE.Vector3(clickPoint.x - playerPos.x, 0, clickPoint.z - playerPos.z);
     const distance = dir.length();
     if (distance > 0.1) {
-      // Track previous position for undo
-      const previousPosition = { x: playerPos.x, y: playerPos.y, z: playerPos.z };
+      // Before the impulse, so undo returns to the pre-move state
+      events.emit('player:beforeMove', { player: this, point: clickPoint });
 
       dir.normalize();
       const scaledForce = Math.min(distance * this.minForce, this.maxForce);
       const impulse = new RAPIER.Vector3(dir.x * scaledForce, 0, dir.z * scaledForce);
       this.body.applyImpulse(impulse, true);
 
-      // Track move action for undo
-      window.trackMoveAction?.(previousPosition);
-      window.incrementMoveCount?.(); // Increment move counter
-      window.saveGame?.(); // Auto-save on move
+      events.emit('player:moved', { player: this, point: clickPoint });
     }
   }
 
-  updateVisual() {
+  /**
+   * Records the current body transform as the start of the next interpolation
+   * Call before each physics step, and after teleporting the body.
+   */
+  savePreviousTransform() {
+    if (this.body) this.previousTransform = snapshotTransform(this.body);
+  }
+
+  /**
+   * Moves the mesh to match the physics body
+   * @param {number} alpha - Interpolation factor between the previous and current
+   *   physics step (optional, defaults to 1: the current state)
+   */
+  updateVisual(alpha = 1) {
     if (!this.body || !this.mesh) return;
-    const playerPos = this.body.translation();
-    this.mesh.position.set(playerPos.x, playerPos.y, playerPos.z);
-    const playerRot = this.body.rotation();
-    this.mesh.quaternion.set(playerRot.x, playerRot.y, playerRot.z, playerRot.w);
+    interpolateTransform(this.mesh, this.previousTransform, this.body, alpha);
   }
 
-  isOffPlatform(platformHalfSize) {
-    if (!this.body) return false;
-    const playerPos = this.body.translation();
-    return (
-      playerPos.x < -platformHalfSize ||
-      playerPos.x > platformHalfSize ||
-      playerPos.z < -platformHalfSize ||
-      playerPos.z > platformHalfSize
-    );
+  /**
+   * Moves the player without changing its velocity or rotation (e.g. through a portal)
+   * @param {{x: number, y: number, z: number}} position - New body position
+   */
+  placeAt(position) {
+    this.body.setTranslation(position, true);
+    this.savePreviousTransform(); // Appear there instead of sliding across the scene
+    this.updateVisual();
+  }
+
+  /**
+   * Puts the player at rest at a level position (e.g. a spawn point)
+   * @param {number} platformTop - The Y position of the platform top surface
+   * @param {{x: number, y: number, z: number}} position - Position with y above the platform top,
+   *   as in level files
+   */
+  spawnAt(platformTop, position) {
+    const still = { x: 0, y: 0, z: 0 };
+    this.deserialize({
+      position: { x: position.x, y: platformTop + position.y + SIZE.y / 2, z: position.z },
+      rotation: { x: 0, y: 0, z: 0, w: 1 },
+      linearVelocity: still,
+      angularVelocity: still,
+    });
+  }
+
+  isOffPlatform(platform) {
+    if (!this.body || !platform) return false;
+    return !platform.contains(this.body.translation());
   }
 
   // Save/load helpers
-  getSaveData() {
-    const pos = this.body.translation();
-    return { x: pos.x, y: pos.y, z: pos.z };
+  serialize() {
+    return getBodyState(this.body);
   }
 
-  loadFromData(data) {
+  deserialize(data) {
     if (!data) return;
-    this.body.setTranslation({ x: data.x, y: data.y, z: data.z }, true);
+    setBodyState(this.body, data);
+    this.savePreviousTransform();
+    this.updateVisual();
+  }
+
+  /**
+   * Removes the player from the physics world and the scene
+   */
+  dispose() {
+    disposeEntity(this);
   }
 }
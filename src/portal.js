@@ -0,0 +1,56 @@
+import { Teleporter } from './teleporter.js';
+
+/**
+ * Portal that moves the player to its paired portal in the same scene
+ * Portals are teleporters that keep the player in the scene: the player keeps moving
+ * with the velocity they went in with.
+ */
+export class Portal extends Teleporter {
+  /**
+   * Creates a new Portal instance
+   * @param {RAPIER.World} world - The Rapier physics world
+   * @param {THREE.Scene} scene - The Three.js scene
+   * @param {number} platformTop - The Y position of the platform top surface
+   * @param {THREE.Vector3} position - Position of the portal
+   * @param {Object} config - Sensor configuration {sensorRadius, sensorHeight} (optional)
+   * @param {number|string} color - Portal color; both portals of a pair usually share it
+   */
+  constructor(world, scene, platformTop, position, config = {}, color = 0xffa500) {
+    super(world, scene, platformTop, position, config);
+    this.mesh.material.color.set(color);
+    // Set while the player stands in the portal they arrived through, so they are not sent
+    // straight back; cleared once they step out
+    this.occupied = false;
+  }
+
+  /**
+   * Sends the player to the exit portal if they just stepped in
+   * @param {RAPIER.World} world - The physics world
+   * @param {Object} player - The player
+   * @param {Portal|null} exit - The paired portal
+   * @returns {boolean} True if the player was moved
+   */
+  transport(world, player, exit) {
+    if (!this.isPlayerTouching(world, player)) {
+      this.occupied = false;
+      return false;
+    }
+    if (this.occupied || !exit?.mesh) return false;
+
+    // Same height, so the player lands on the platform as they left it
+    const { y } = player.body.translation();
+    player.placeAt({ x: exit.mesh.position.x, y, z: exit.mesh.position.z });
+    exit.occupied = true;
+    return true;
+  }
+
+  // Save/load helpers
+  serialize() {
+    return { occupied: this.occupied };
+  }
+
+  deserialize(data) {
+    if (!data) return;
+    this.occupied = data.occupied;
+  }
+}
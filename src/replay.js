@@ -0,0 +1,173 @@
+/**
+ * Replay Module
+ *
+ * Records player inputs together with the simulation tick they were applied at,
+ * and feeds them back during playback. Because physics runs in fixed steps
+ * (see fixedStepLoop.js), replaying the same inputs at the same ticks from a
+ * freshly loaded scene reproduces the same game.
+ *
+ * Recordings are saved as *.replay.json files described by
+ * public/data/schemas/replay.schema.json.
+ */
+
+import { validateSchema, formatError } from './dsl/schema-validator.js';
+import { downloadJson, toFileTimestamp } from './utils.js';
+
+/**
+ * Current replay file format version
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * URL of the JSON schema that describes replay files
+ */
+const SCHEMA_PATH = '/data/schemas/replay.schema.json';
+
+// Cache for the loaded schema
+let replaySchema = null;
+
+/**
+ * Records inputs while the game is played
+ */
+export class ReplayRecorder {
+  /**
+   * Creates a new ReplayRecorder instance
+   * @param {Object} start - Game state the recording starts from
+   * @param {number} start.scene - Scene number
+   * @param {string} start.preset - Active physics preset
+   * @param {string[]} start.inventory - Inventory items
+   * @param {Object<string, Object>} start.sceneStates - States of the scenes the player has
+   *   left (see WorldStateStore.serialize)
+   * @param {{scene: number, spawn?: string}|null} start.returnLink - Where return link
+   *   teleporters lead
+   */
+  constructor({ scene, preset, inventory, sceneStates, returnLink }) {
+    this.replay = {
+      $schema: SCHEMA_PATH,
+      version: REPLAY_VERSION,
+      scene,
+      preset,
+      inventory: [...inventory],
+      sceneStates: { ...sceneStates },
+      returnLink,
+      recordedAt: new Date().toISOString(),
+      endTick: 0,
+      inputs: [],
+    };
+  }
+
+  /**
+   * Records the inputs applied at a simulation step
+   * @param {number} tick - Simulation step the inputs were applied at
+   * @param {Array<Object>} inputs - Inputs ({type, point?})
+   */
+  record(tick, inputs) {
+    inputs.forEach(input => this.replay.inputs.push({ tick, ...input }));
+  }
+
+  /**
+   * Ends the recording
+   * @param {number} tick - Simulation step the recording stopped at
+   * @returns {Object} Complete replay
+   */
+  finish(tick) {
+    this.replay.endTick = tick;
+    return this.replay;
+  }
+}
+
+/**
+ * Feeds the inputs of a replay back one simulation step at a time
+ */
+export class ReplayPlayer {
+  /**
+   * Creates a new ReplayPlayer instance
+   * @param {Object} replay - Validated replay
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.nextInput = 0;
+    this.speed = 1;
+  }
+
+  /**
+   * Gets the inputs recorded for a simulation step
+   * @param {number} tick - Simulation step about to run
+   * @returns {Array<Object>} Inputs for that step (empty if none)
+   */
+  takeInputs(tick) {
+    const inputs = [];
+    const recorded = this.replay.inputs;
+    while (this.nextInput < recorded.length && recorded[this.nextInput].tick <= tick) {
+      const { type, point, id } = recorded[this.nextInput++];
+      inputs.push({ type, ...(point && { point }), ...(id && { id }) });
+    }
+    return inputs;
+  }
+
+  /**
+   * Checks whether every input has been played and the recorded length reached
+   * @param {number} tick - Current simulation step
+   * @returns {boolean} True once playback is complete
+   */
+  isFinished(tick) {
+    return this.nextInput >= this.replay.inputs.length && tick >= this.replay.endTick;
+  }
+}
+
+/**
+ * Validates a parsed replay file
+ * @param {*} replay - Parsed replay file
+ * @returns {Promise<string[]>} Error messages (empty if valid)
+ */
+export async function validateReplay(replay) {
+  if (!replaySchema) {
+    const response = await fetch(SCHEMA_PATH);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText} (${SCHEMA_PATH})`);
+    }
+    replaySchema = await response.json();
+  }
+
+  const errors = validateSchema(replay, replaySchema).map(formatError);
+  if (errors.length === 0) {
+    replay.inputs.forEach((input, index) => {
+      if (index > 0 && input.tick < replay.inputs[index - 1].tick) {
+        errors.push(`inputs[${index}].tick: inputs must be in tick order`);
+      }
+      if (input.type === 'move' && !input.point) {
+        errors.push(`inputs[${index}].point: move inputs need a point`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Reads and validates a replay file chosen by the user
+ * @param {File} file - *.replay.json file
+ * @returns {Promise<Object>} Validated replay
+ * @throws {Error} If the file is not valid JSON or not a valid replay
+ */
+export async function readReplayFile(file) {
+  let replay;
+  try {
+    replay = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const errors = await validateReplay(replay);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return replay;
+}
+
+/**
+ * Offers a replay to the user as a *.replay.json download
+ * @param {Object} replay - Replay to save
+ */
+export function downloadReplay(replay) {
+  downloadJson(replay, `scene-${replay.scene}-${toFileTimestamp(replay.recordedAt)}.replay.json`);
+}
@@ -0,0 +1,182 @@
+/**
+ * Replay controls UI component
+ * Buttons for recording a replay, loading a *.replay.json file and controlling playback
+ */
+
+import { t } from './i18n/translations.js';
+import { isRTL } from './i18n/rtl-utils.js';
+import { events } from './events.js';
+
+/**
+ * Playback speeds offered in the speed dropdown
+ */
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Creates a styled control button
+ * @param {function(): void} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createButton(onClick) {
+  const button = document.createElement('button');
+  Object.assign(button.style, {
+    padding: '6px 12px',
+    fontSize: '14px',
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    color: 'white',
+    border: '2px solid rgba(255, 255, 255, 0.5)',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  });
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates the replay controls
+ * @param {Object} handlers - Callbacks for the controls
+ * @param {function(): void} handlers.onRecord - Start recording
+ * @param {function(): void} handlers.onStopRecording - Stop recording and save the file
+ * @param {function(File): void} handlers.onLoad - Play the chosen replay file
+ * @param {function(): void} handlers.onTogglePause - Pause or resume playback
+ * @param {function(number): void} handlers.onSpeedChange - Change the playback speed
+ * @param {function(): void} handlers.onExit - Stop playback
+ * @returns {{element: HTMLElement, setMode: Function, setPaused: Function, setProgress: Function}}
+ *   Controls element and functions to update it
+ */
+export function createReplayControls(handlers) {
+  const container = document.createElement('div');
+  let mode = 'idle';
+  let paused = false;
+
+  const updatePosition = () => {
+    const rtl = isRTL();
+    Object.assign(container.style, {
+      position: 'absolute',
+      bottom: '10px',
+      right: rtl ? 'auto' : '10px',
+      left: rtl ? '10px' : 'auto',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      zIndex: '2000',
+      fontFamily: 'sans-serif',
+      direction: rtl ? 'rtl' : 'ltr',
+    });
+  };
+  updatePosition();
+
+  const recordButton = createButton(() => handlers.onRecord());
+  const stopRecordingButton = createButton(() => handlers.onStopRecording());
+  stopRecordingButton.style.borderColor = '#cc0000';
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = ''; // Allow choosing the same file again
+    if (file) handlers.onLoad(file);
+  });
+  const loadButton = createButton(() => fileInput.click());
+
+  const pauseButton = createButton(() => handlers.onTogglePause());
+
+  const speedSelect = document.createElement('select');
+  Object.assign(speedSelect.style, {
+    padding: '6px',
+    fontSize: '14px',
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    color: 'white',
+    border: '2px solid rgba(255, 255, 255, 0.5)',
+    borderRadius: '4px',
+  });
+  for (const speed of PLAYBACK_SPEEDS) {
+    const option = document.createElement('option');
+    option.value = String(speed);
+    option.textContent = `${speed}×`;
+    speedSelect.appendChild(option);
+  }
+  speedSelect.value = '1';
+  speedSelect.addEventListener('change', () => handlers.onSpeedChange(Number(speedSelect.value)));
+
+  const progress = document.createElement('span');
+  Object.assign(progress.style, { color: 'white', fontSize: '12px', minWidth: '80px' });
+
+  const exitButton = createButton(() => handlers.onExit());
+
+  const updateText = () => {
+    recordButton.textContent = `● ${t('replay.record')}`;
+    stopRecordingButton.textContent = `■ ${t('replay.stopRecording')}`;
+    loadButton.textContent = t('replay.load');
+    pauseButton.textContent = paused ? `▶ ${t('replay.play')}` : `⏸ ${t('replay.pause')}`;
+    speedSelect.title = t('replay.speed');
+    exitButton.textContent = `✕ ${t('replay.exit')}`;
+  };
+
+  const render = () => {
+    container.innerHTML = '';
+    const elements = {
+      idle: [recordButton, loadButton, fileInput],
+      recording: [stopRecordingButton],
+      playing: [pauseButton, speedSelect, progress, exitButton],
+    }[mode];
+    elements.forEach(element => container.appendChild(element));
+  };
+
+  updateText();
+  render();
+
+  events.on('language:changed', () => {
+    updateText();
+    updatePosition();
+  });
+
+  return {
+    element: container,
+
+    /**
+     * Switches which controls are shown
+     * @param {'idle'|'recording'|'playing'} newMode - Replay mode
+     */
+    setMode(newMode) {
+      mode = newMode;
+      if (mode === 'playing') {
+        paused = false;
+        speedSelect.value = '1';
+        updateText();
+      }
+      render();
+    },
+
+    /**
+     * Updates the play/pause button
+     * @param {boolean} isPaused - Whether playback is paused
+     */
+    setPaused(isPaused) {
+      paused = isPaused;
+      updateText();
+    },
+
+    /**
+     * Shows how far playback has progressed
+     * @param {number} tick - Current simulation step
+     * @param {number} endTick - Last step of the recording
+     */
+    setProgress(tick, endTick) {
+      progress.textContent = `${Math.min(tick, endTick)} / ${endTick}`;
+    },
+  };
+}
+
+/**
+ * Initializes the replay controls and adds them to the page
+ * @param {Object} handlers - Callbacks for the controls (see createReplayControls)
+ * @returns {Object} Replay controls
+ */
+export function initReplayControls(handlers) {
+  const controls = createReplayControls(handlers);
+  document.body.appendChild(controls.element);
+  return controls;
+}
@@ -0,0 +1,500 @@
+/**
+ * Save Data Module
+ *
+ * Reads and writes saved games through the storage module (namespace "save").
+ * Saves live in slots: named
+ * slots the player creates from the save menu, and a few auto-save slots that
+ * are reused in rotation. An index key lists every slot with the details the
+ * menu shows (name, time, scene, moves and a thumbnail), so the menu never has
+ * to parse the saves themselves.
+ *
+ * Every save carries a `version`; older saves are upgraded one version at a time
+ * by the functions in MIGRATIONS and then checked against
+ * public/data/schemas/save.schema.json. A save that cannot be parsed, migrated
+ * or validated is copied to a backup key and its slot removed, so the game can
+ * start fresh instead of failing on startup.
+ *
+ * Saves can also leave the browser: as a downloaded *.save.json file, or as a
+ * share code (the compressed save as base64 text). Imported saves go through the
+ * same migration and validation before they are stored in a new slot.
+ */
+
+import { validateSchema, formatError } from './dsl/schema-validator.js';
+import { encodeBytes, decodeBytes } from './base64.js';
+import { downloadJson, toFileTimestamp } from './utils.js';
+import { createStorage, adoptLocalStorageKeys } from './storage.js';
+import { events } from './events.js';
+
+/**
+ * localStorage key of the saved game before save slots existed
+ */
+export const SAVE_KEY = 'myGameSave';
+
+/**
+ * Storage key of the slot index
+ */
+const INDEX_KEY = 'slots';
+
+/**
+ * Storage key a save from before save slots existed is moved to, until it gets a slot
+ */
+const LEGACY_KEY = 'legacy';
+
+// Storage for saves
+const storage = createStorage('save');
+
+/**
+ * Number of auto-save slots used in rotation
+ */
+export const AUTO_SAVE_SLOTS = 3;
+
+/**
+ * Auto-saves within this many milliseconds of the latest one overwrite it instead of
+ * moving on to the next slot, so the auto-save slots are spread out in time
+ */
+const AUTO_SAVE_INTERVAL = 60 * 1000;
+
+/**
+ * Most undo checkpoints (and as many redo checkpoints) a save keeps. Each one holds a whole
+ * world snapshot, so saving the full history would soon fill the storage; older checkpoints
+ * are left out.
+ */
+export const SAVED_HISTORY_LIMIT = 20;
+
+/**
+ * URL of the JSON schema that describes saves
+ */
+const SCHEMA_PATH = '/data/schemas/save.schema.json';
+
+// Cache for the loaded schema
+let saveSchema = null;
+
+/**
+ * Migrations between save versions. MIGRATIONS[n] upgrades a version n save to version n + 1.
+ * To change the save format, append a migration; SAVE_VERSION follows automatically.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: saves from before versioning only kept the player and block positions, and whether
+  // the key was picked up. Their history entries have no world snapshot, so they cannot be
+  // undone, and the key can spawn again from the goal
+  data => ({
+    version: 1,
+    scene: data.scene || 1,
+    entities: {
+      'player-1': { position: data.player },
+      ...(data.block && { 'block-1': { position: data.block } }),
+    },
+    spawnedKeys: [],
+    sceneStates: {},
+    returnLink: null,
+    inventory: [],
+    itemColors: {},
+    moveCount: data.moveCount || 0,
+    actionHistory: [],
+    redoStack: [],
+  }),
+];
+
+/**
+ * Current save format version
+ */
+export const SAVE_VERSION = MIGRATIONS.length;
+
+/**
+ * Upgrades a save to the current version
+ * @param {Object} data - Parsed save of any supported version
+ * @returns {Object} Save in the current format
+ * @throws {Error} If the save is not an object or its version is unknown
+ */
+export function migrateSave(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Save is not an object');
+  }
+
+  let version = data.version ?? 0;
+  if (!Number.isInteger(version) || version < 0 || version > SAVE_VERSION) {
+    throw new Error(`Unsupported save version: ${JSON.stringify(version)}`);
+  }
+
+  while (version < SAVE_VERSION) {
+    data = MIGRATIONS[version](data);
+    console.log(`[Save] Migrated save from version ${version} to ${data.version}`);
+    version = data.version;
+  }
+  return data;
+}
+
+/**
+ * Validates a migrated save against the save schema
+ * @param {Object} data - Save in the current format
+ * @returns {Promise<string[]>} Error messages (empty if valid, or if the schema is unavailable)
+ */
+export async function validateSave(data) {
+  if (!saveSchema) {
+    try {
+      const response = await fetch(SCHEMA_PATH);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText} (${SCHEMA_PATH})`);
+      }
+      saveSchema = await response.json();
+    } catch (error) {
+      // A missing schema says nothing about the save, so don't discard it
+      console.warn('[Save] Could not load save schema, skipping validation:', error.message);
+      return [];
+    }
+  }
+
+  return validateSchema(data, saveSchema).map(formatError);
+}
+
+/**
+ * Upgrades and validates a parsed save
+ * @param {*} data - Parsed save of any supported version
+ * @returns {Promise<Object>} Save in the current format
+ * @throws {Error} If the save cannot be migrated or is invalid
+ */
+export async function checkSave(data) {
+  const save = migrateSave(data);
+  const errors = await validateSave(save);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return save;
+}
+
+/**
+ * Gets the storage key a slot's save is stored under
+ * @param {string} id - Slot id
+ * @returns {string} Storage key
+ */
+function slotKey(id) {
+  return `slot.${id}`;
+}
+
+/**
+ * Reads the slot index
+ * @returns {Promise<Array<Object>>} Slot details
+ *   ({id, name, auto, savedAt, scene, moveCount, thumbnail})
+ */
+async function readIndex() {
+  const index = await storage.get(INDEX_KEY);
+  return Array.isArray(index) ? index : [];
+}
+
+// Index updates run one after another, so concurrent saves cannot drop each other's slots
+let indexQueue = Promise.resolve();
+
+/**
+ * Changes the slot index
+ * @param {function(Array<Object>): Array<Object>} change - Gets the new index from the current one
+ * @returns {Promise<void>}
+ */
+function updateIndex(change) {
+  const update = indexQueue.then(async () => storage.set(INDEX_KEY, change(await readIndex())));
+  indexQueue = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Moves the save that older versions of the game kept in localStorage to the first auto-save
+ * slot
+ * @returns {Promise<void>}
+ */
+async function adoptLegacySaves() {
+  const adopted = await adoptLocalStorageKeys(storage, key =>
+    key === SAVE_KEY ? LEGACY_KEY : null
+  );
+  if (!adopted.includes(LEGACY_KEY)) return;
+
+  const text = await storage.get(LEGACY_KEY);
+  let details = {};
+  try {
+    const { scene, moveCount } = JSON.parse(text) ?? {};
+    details = { scene, moveCount };
+  } catch {
+    // Unreadable saves are still moved, so reading the slot backs them up as usual
+  }
+
+  await storage.set(slotKey('auto-1'), text);
+  await storage.remove(LEGACY_KEY);
+  await updateIndex(index => [
+    ...index.filter(slot => slot.id !== 'auto-1'),
+    { id: 'auto-1', name: null, auto: true, savedAt: new Date().toISOString(), ...details },
+  ]);
+  console.log('[Save] Moved the save to auto-save slot auto-1');
+}
+
+// Resolves once saves from older versions have been moved into the save storage
+let legacySavesAdopted = null;
+
+/**
+ * Lists the save slots
+ * @returns {Promise<Array<Object>>} Slot details, most recently saved first
+ */
+export async function listSlots() {
+  if (!legacySavesAdopted) legacySavesAdopted = adoptLegacySaves();
+  await legacySavesAdopted;
+  return (await readIndex()).sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Copies an unreadable save to a backup key
+ * @param {string} text - Raw save text
+ * @returns {Promise<string|null>} Backup key, or null if the backup could not be written
+ */
+async function backUpSave(text) {
+  const backupKey = `corrupt-${new Date().toISOString()}`;
+  try {
+    await storage.set(backupKey, text);
+    return backupKey;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Backs up a save that cannot be used and removes its slot, so the game can start fresh
+ * instead of failing on it again with every load
+ * @param {string|null} id - Slot the save was read from (null if it is not in a slot)
+ * @param {string|Object} save - Raw save text, or the save itself
+ * @param {Error} error - Why the save cannot be used
+ * @returns {Promise<string|null>} Backup key, or null if the backup could not be written
+ */
+export async function discardSave(id, save, error) {
+  const backupKey = await backUpSave(typeof save === 'string' ? save : JSON.stringify(save));
+  if (id) await deleteSlot(id);
+  console.warn(
+    `[Save] Unreadable save${id ? ` in slot ${id}` : ''} backed up to "${backupKey}":`,
+    error.message
+  );
+  return backupKey;
+}
+
+/**
+ * Reads, migrates and validates the save in a slot
+ * An unreadable save is backed up and its slot removed.
+ * @param {string} id - Slot id
+ * @returns {Promise<{id: string, data: Object|null, error: Error|null, backupKey: string|null}>}
+ *   Slot id, save in the current format (null if the slot is empty or unreadable),
+ *   the reason it was unreadable, and where it was backed up to
+ */
+export async function readSlot(id) {
+  const text = await storage.get(slotKey(id));
+  if (!text) return { id, data: null, error: null, backupKey: null };
+
+  try {
+    const data = await checkSave(JSON.parse(text));
+    return { id, data, error: null, backupKey: null };
+  } catch (error) {
+    const backupKey = await discardSave(id, text, error);
+    return { id, data: null, error, backupKey };
+  }
+}
+
+/**
+ * Reads the most recently written save, from any slot
+ * @returns {Promise<{id: string|null, data: Object|null, error: Error|null,
+ *   backupKey: string|null}>} See readSlot
+ */
+export async function readLatestSave() {
+  const [latest] = await listSlots();
+  if (!latest) return { id: null, data: null, error: null, backupKey: null };
+  return readSlot(latest.id);
+}
+
+/**
+ * Writes a save to a slot and updates the slot's details in the index
+ * @param {string} id - Slot id (an existing slot is overwritten)
+ * @param {Object} data - Save data without a version
+ * @param {Object} details - Slot details
+ * @param {string|null} details.name - Slot name (null for auto-save slots)
+ * @param {boolean} details.auto - Whether this is an auto-save slot
+ * @param {string} [details.thumbnail] - Image data URL of the game when it was saved
+ * @returns {Promise<void>}
+ */
+export async function writeSlot(id, data, { name, auto, thumbnail }) {
+  // Saves are kept as JSON text so an unreadable one can be backed up exactly as it was
+  const save = {
+    version: SAVE_VERSION,
+    ...data,
+    actionHistory: data.actionHistory.slice(-SAVED_HISTORY_LIMIT),
+    redoStack: data.redoStack.slice(-SAVED_HISTORY_LIMIT), // The next redo is the last entry
+  };
+  try {
+    await storage.set(slotKey(id), JSON.stringify(save));
+  } catch {
+    // Snapshots make the history large; keep the progress even if it no longer fits
+    console.warn('[Save] Storage full, saving without undo history');
+    await storage.set(slotKey(id), JSON.stringify({ ...save, actionHistory: [], redoStack: [] }));
+    events.emit('save:historyDropped', { slotId: id, auto });
+  }
+
+  const slot = {
+    id,
+    name,
+    auto,
+    savedAt: new Date().toISOString(),
+    scene: data.scene,
+    moveCount: data.moveCount,
+    thumbnail,
+  };
+  await listSlots(); // Older saves must be in the index before it is changed
+  const replaceSlot = newSlot => index => [
+    ...index.filter(existing => existing.id !== id),
+    newSlot,
+  ];
+  try {
+    await updateIndex(replaceSlot(slot));
+  } catch {
+    await updateIndex(replaceSlot({ ...slot, thumbnail: undefined })); // Thumbnails are optional
+  }
+}
+
+/**
+ * Writes a save to a new named slot
+ * @param {Object} data - Save data without a version
+ * @param {string} name - Slot name
+ * @param {string} [thumbnail] - Image data URL of the game
+ * @returns {Promise<string>} Id of the new slot
+ */
+export async function createSlot(data, name, thumbnail) {
+  const id = `slot-${Date.now().toString(36)}`;
+  await writeSlot(id, data, { name, auto: false, thumbnail });
+  return id;
+}
+
+/**
+ * Writes an auto-save
+ * The latest auto-save slot is overwritten if it was written recently; otherwise
+ * the save goes to an unused auto-save slot, or else the oldest one.
+ * @param {Object} data - Save data without a version
+ * @param {string} [thumbnail] - Image data URL of the game
+ * @returns {Promise<void>}
+ */
+export async function writeAutoSave(data, thumbnail) {
+  const autoSlots = (await listSlots()).filter(slot => slot.auto);
+  const [latest] = autoSlots;
+
+  let id;
+  if (latest && Date.now() - Date.parse(latest.savedAt) < AUTO_SAVE_INTERVAL) {
+    id = latest.id;
+  } else if (autoSlots.length < AUTO_SAVE_SLOTS) {
+    const used = new Set(autoSlots.map(slot => slot.id));
+    id = Array.from({ length: AUTO_SAVE_SLOTS }, (_, i) => `auto-${i + 1}`).find(
+      candidate => !used.has(candidate)
+    );
+  } else {
+    id = autoSlots[autoSlots.length - 1].id;
+  }
+
+  await writeSlot(id, data, { name: null, auto: true, thumbnail });
+}
+
+/**
+ * Renames a slot
+ * @param {string} id - Slot id
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ */
+export async function renameSlot(id, name) {
+  await updateIndex(index => index.map(slot => (slot.id === id ? { ...slot, name } : slot)));
+}
+
+/**
+ * Deletes a slot and its save
+ * @param {string} id - Slot id
+ * @returns {Promise<void>}
+ */
+export async function deleteSlot(id) {
+  await storage.remove(slotKey(id));
+  await updateIndex(index => index.filter(slot => slot.id !== id));
+}
+
+/**
+ * Reads the save in a slot for export
+ * @param {string} id - Slot id
+ * @returns {Promise<Object>} Save in the current format
+ * @throws {Error} If the slot is empty or unreadable
+ */
+async function readSlotForExport(id) {
+  const { data, error } = await readSlot(id);
+  if (!data) throw error ?? new Error(`Slot ${id} is empty`);
+  return data;
+}
+
+/**
+ * Offers the save in a slot as a *.save.json download
+ * @param {string} id - Slot id
+ * @returns {Promise<void>}
+ * @throws {Error} If the slot is empty or unreadable
+ */
+export async function exportSlot(id) {
+  const slot = (await listSlots()).find(existing => existing.id === id);
+  const data = await readSlotForExport(id);
+  const name = (slot?.name ?? 'auto-save').replace(/[^\p{L}\p{N}_-]+/gu, '-');
+  downloadJson(data, `${name}-${toFileTimestamp(slot?.savedAt ?? '')}.save.json`);
+}
+
+/**
+ * Reads and validates a save file chosen or dropped by the user
+ * @param {File} file - *.save.json file
+ * @returns {Promise<Object>} Save in the current format
+ * @throws {Error} If the file is not valid JSON or not a valid save
+ */
+export async function readSaveFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  return checkSave(data);
+}
+
+/**
+ * Passes bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} stream - Stream to pass them through
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Creates a share code for the save in a slot
+ * The undo history is left out: its world snapshots would make the code far too long to paste.
+ * @param {string} id - Slot id
+ * @returns {Promise<string>} Base64 share code
+ * @throws {Error} If the slot is empty or unreadable
+ */
+export async function createShareCode(id) {
+  const data = await readSlotForExport(id);
+  const json = JSON.stringify({ ...data, actionHistory: [], redoStack: [] });
+  const compressed = await transformBytes(
+    new TextEncoder().encode(json),
+    new CompressionStream('deflate-raw')
+  );
+  return encodeBytes(compressed);
+}
+
+/**
+ * Reads and validates a share code
+ * @param {string} code - Share code from createShareCode (whitespace is ignored)
+ * @returns {Promise<Object>} Save in the current format
+ * @throws {Error} If the code cannot be decoded or is not a valid save
+ */
+export async function readShareCode(code) {
+  let data;
+  try {
+    const json = await transformBytes(
+      decodeBytes(code.replace(/\s+/g, '')),
+      new DecompressionStream('deflate-raw')
+    );
+    data = JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new Error('Not a valid share code');
+  }
+  return checkSave(data);
+}
@@ -0,0 +1,378 @@
+/**
+ * Save menu UI component
+ * A button that opens a list of save slots, with controls to save, load, rename and delete them,
+ * and to move saves between browsers as files or share codes. Save files can also be dropped
+ * onto the menu.
+ */
+
+import {
+  listSlots,
+  createSlot,
+  renameSlot,
+  deleteSlot,
+  exportSlot,
+  readSaveFile,
+  createShareCode,
+  readShareCode,
+} from './saveData.js';
+import { t, getCurrentLanguage } from './i18n/translations.js';
+import { isRTL } from './i18n/rtl-utils.js';
+import { getThemeColor } from './theme.js';
+import { events } from './events.js';
+
+/**
+ * Creates a small themed button
+ * @param {string} text - Button text
+ * @param {function(): void} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createButton(text, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  Object.assign(button.style, {
+    padding: '4px 8px',
+    fontSize: '12px',
+    background: getThemeColor('buttonBg'),
+    color: getThemeColor('textColor'),
+    border: `1px solid ${getThemeColor('buttonBorder')}`,
+    borderRadius: '4px',
+    cursor: 'pointer',
+  });
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates the save menu
+ * @param {Object} handlers - Callbacks for actions that need the game state
+ * @param {function(string=, string=): Promise<void>} handlers.onSave - Save to a slot
+ *   (slot id and name, or no slot id for a new slot)
+ * @param {function(string): Promise<void>} handlers.onLoad - Load the slot with the given id
+ * @param {function(string): void} handlers.onMessage - Show a message to the player
+ * @param {function(boolean): void} [handlers.onToggle] - Called when the menu opens (true) or
+ *   closes (false)
+ * @returns {{element: HTMLElement, refresh: Function}} Menu element and a function to redraw it
+ */
+export function createSaveMenu(handlers) {
+  const container = document.createElement('div');
+  let open = false;
+
+  const updatePosition = () => {
+    const rtl = isRTL();
+    Object.assign(container.style, {
+      position: 'absolute',
+      top: '130px',
+      right: rtl ? 'auto' : '10px',
+      left: rtl ? '10px' : 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: rtl ? 'flex-start' : 'flex-end',
+      gap: '6px',
+      zIndex: '2000',
+      fontFamily: 'sans-serif',
+      direction: rtl ? 'rtl' : 'ltr',
+    });
+  };
+  updatePosition();
+
+  const toggleButton = document.createElement('button');
+  /**
+   * Opens or closes the menu
+   * @param {boolean} isOpen - Whether the menu should be open
+   */
+  const setOpen = isOpen => {
+    open = isOpen;
+    handlers.onToggle?.(open);
+    refresh();
+  };
+
+  toggleButton.addEventListener('click', () => setOpen(!open));
+
+  const panel = document.createElement('div');
+
+  /**
+   * Stores an imported save in a new slot
+   * @param {function(): Promise<Object>} read - Reads and validates the save
+   * @param {string} name - Name for the new slot
+   */
+  const importSave = async (read, name) => {
+    try {
+      await createSlot(await read(), name);
+      handlers.onMessage(t('save.imported', { name }));
+    } catch (error) {
+      console.warn('[Save] Import failed:', error.message);
+      handlers.onMessage(t('save.importFailed', { error: error.message }));
+    }
+    refresh();
+  };
+
+  /**
+   * Imports a save file
+   * @param {File} file - *.save.json file
+   */
+  const importFile = file => {
+    const name = file.name.replace(/(\.save)?\.json$/i, '');
+    importSave(() => readSaveFile(file), name);
+  };
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = ''; // Allow choosing the same file again
+    if (file) importFile(file);
+  });
+
+  container.addEventListener('dragover', event => {
+    event.preventDefault();
+    toggleButton.style.borderColor = getThemeColor('buttonBorderHover');
+  });
+  container.addEventListener('dragleave', () => {
+    toggleButton.style.borderColor = getThemeColor('buttonBorder');
+  });
+  container.addEventListener('drop', event => {
+    event.preventDefault();
+    toggleButton.style.borderColor = getThemeColor('buttonBorder');
+    const file = event.dataTransfer?.files[0];
+    if (file) importFile(file);
+  });
+
+  /**
+   * Builds the row for one slot
+   * @param {Object} slot - Slot details from listSlots
+   * @returns {HTMLElement} Row element
+   */
+  const createRow = slot => {
+    const name = slot.auto ? t('save.autoSave') : slot.name;
+
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      gap: '8px',
+      alignItems: 'center',
+      padding: '6px 0',
+      borderTop: `1px solid ${getThemeColor('borderColor')}`,
+    });
+
+    const thumbnail = document.createElement('div');
+    Object.assign(thumbnail.style, {
+      flex: '0 0 auto',
+      width: '80px',
+      height: '45px',
+      borderRadius: '2px',
+      background: slot.thumbnail
+        ? `center / cover url(${slot.thumbnail})`
+        : getThemeColor('slotBg'),
+    });
+    row.appendChild(thumbnail);
+
+    const info = document.createElement('div');
+    Object.assign(info.style, { flex: '1', minWidth: '0', fontSize: '12px' });
+    const title = document.createElement('div');
+    Object.assign(title.style, {
+      fontWeight: 'bold',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+    });
+    title.textContent = name;
+    const details = document.createElement('div');
+    details.textContent = t('save.details', {
+      scene: slot.scene ?? '?',
+      moves: slot.moveCount ?? '?',
+    });
+    const savedAt = document.createElement('div');
+    savedAt.style.opacity = '0.7';
+    savedAt.textContent = new Date(slot.savedAt).toLocaleString(getCurrentLanguage());
+    info.append(title, details, savedAt);
+    row.appendChild(info);
+
+    const actions = document.createElement('div');
+    Object.assign(actions.style, { display: 'flex', flexDirection: 'column', gap: '2px' });
+    actions.appendChild(
+      createButton(t('save.load'), async () => {
+        setOpen(false);
+        try {
+          await handlers.onLoad(slot.id);
+        } catch (error) {
+          console.warn('[Save] Load failed:', error.message);
+          handlers.onMessage(t('save.loadFailed', { error: error.message }));
+        }
+      })
+    );
+    // Auto-save slots are overwritten by the game, so only named slots can be saved to or renamed
+    if (!slot.auto) {
+      actions.appendChild(
+        createButton(t('save.save'), async () => {
+          try {
+            await handlers.onSave(slot.id, slot.name);
+          } catch (error) {
+            handlers.onMessage(t('save.saveFailed', { error: error.message }));
+          }
+          refresh();
+        })
+      );
+      actions.appendChild(
+        createButton(t('save.rename'), async () => {
+          const newName = window.prompt(t('save.renamePrompt'), slot.name)?.trim();
+          if (!newName) return;
+          try {
+            await renameSlot(slot.id, newName);
+          } catch (error) {
+            handlers.onMessage(t('save.renameFailed', { error: error.message }));
+          }
+          refresh();
+        })
+      );
+    }
+    actions.appendChild(
+      createButton(t('save.export'), () =>
+        exportSlot(slot.id).catch(error => {
+          handlers.onMessage(t('save.exportFailed', { error: error.message }));
+          refresh();
+        })
+      )
+    );
+    actions.appendChild(
+      createButton(t('save.shareCode'), async () => {
+        let code;
+        try {
+          code = await createShareCode(slot.id);
+        } catch (error) {
+          handlers.onMessage(t('save.exportFailed', { error: error.message }));
+          refresh();
+          return;
+        }
+        try {
+          await navigator.clipboard.writeText(code);
+          handlers.onMessage(t('save.shareCodeCopied'));
+        } catch {
+          // No clipboard access: let the player copy the code themselves
+          window.prompt(t('save.shareCodePrompt'), code);
+        }
+      })
+    );
+    actions.appendChild(
+      createButton(t('save.delete'), async () => {
+        if (!window.confirm(t('save.deleteConfirm', { name }))) return;
+        try {
+          await deleteSlot(slot.id);
+        } catch (error) {
+          handlers.onMessage(t('save.deleteFailed', { error: error.message }));
+        }
+        refresh();
+      })
+    );
+    row.appendChild(actions);
+
+    return row;
+  };
+
+  const render = async () => {
+    // Read the slots before clearing anything, so the menu never shows half-drawn
+    const slots = open ? await listSlots() : [];
+
+    toggleButton.textContent = `${t('save.title')} ${open ? '▴' : '▾'}`;
+    Object.assign(toggleButton.style, {
+      padding: '8px 16px',
+      fontSize: '14px',
+      background: getThemeColor('buttonBg'),
+      color: getThemeColor('textColor'),
+      border: `2px solid ${getThemeColor('buttonBorder')}`,
+      borderRadius: '4px',
+      cursor: 'pointer',
+    });
+
+    container.innerHTML = '';
+    container.appendChild(toggleButton);
+    if (!open) return;
+
+    Object.assign(panel.style, {
+      width: '300px',
+      maxHeight: '60vh',
+      overflowY: 'auto',
+      padding: '8px 10px',
+      background: getThemeColor('backgroundColor'),
+      color: getThemeColor('textColor'),
+      border: `2px solid ${getThemeColor('borderColorBright')}`,
+      borderRadius: '6px',
+      boxSizing: 'border-box',
+    });
+    panel.innerHTML = '';
+
+    const toolbar = document.createElement('div');
+    Object.assign(toolbar.style, {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '4px',
+      paddingBottom: '6px',
+    });
+    toolbar.appendChild(
+      createButton(t('save.newSave'), async () => {
+        const manualSlots = slots.filter(slot => !slot.auto).length;
+        try {
+          await handlers.onSave(undefined, t('save.defaultName', { number: manualSlots + 1 }));
+        } catch (error) {
+          handlers.onMessage(t('save.saveFailed', { error: error.message }));
+        }
+        refresh();
+      })
+    );
+    toolbar.appendChild(createButton(t('save.importFile'), () => fileInput.click()));
+    toolbar.appendChild(
+      createButton(t('save.pasteCode'), () => {
+        const code = window.prompt(t('save.pasteCodePrompt'))?.trim();
+        if (code) importSave(() => readShareCode(code), t('save.sharedName'));
+      })
+    );
+    toolbar.appendChild(fileInput);
+    panel.appendChild(toolbar);
+
+    const dropHint = document.createElement('div');
+    Object.assign(dropHint.style, { paddingBottom: '6px', fontSize: '11px', opacity: '0.7' });
+    dropHint.textContent = t('save.dropHint');
+    panel.appendChild(dropHint);
+
+    if (slots.length === 0) {
+      const empty = document.createElement('div');
+      Object.assign(empty.style, { padding: '8px 0', fontSize: '12px', opacity: '0.7' });
+      empty.textContent = t('save.empty');
+      panel.appendChild(empty);
+    }
+    slots.forEach(slot => panel.appendChild(createRow(slot)));
+
+    container.appendChild(panel);
+  };
+
+  /**
+   * Redraws the menu, reporting slots that cannot be listed instead of rejecting
+   */
+  const refresh = () =>
+    render().catch(error => {
+      console.warn('[Save] Could not list saves:', error.message);
+      handlers.onMessage(t('save.listFailed', { error: error.message }));
+    });
+
+  refresh();
+
+  events.on('theme:changed', refresh);
+  events.on('language:changed', () => {
+    updatePosition();
+    refresh();
+  });
+
+  return { element: container, refresh };
+}
+
+/**
+ * Initializes the save menu and adds it to the page
+ * @param {Object} handlers - Callbacks for the menu (see createSaveMenu)
+ * @returns {Object} Save menu
+ */
+export function initSaveMenu(handlers) {
+  const menu = createSaveMenu(handlers);
+  document.body.appendChild(menu.element);
+  return menu;
+}
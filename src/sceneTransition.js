@@ -0,0 +1,108 @@
+/**
+ * Scene Transitions
+ *
+ * Runs scene and save loads behind a full-screen fade: fade out, build the new
+ * scene, fade back in. For the whole transition the game is in the
+ * 'transitioning' state, so clicks are ignored and physics does not step.
+ *
+ * Only one transition runs at a time. A request made while one is running (a
+ * teleporter touched twice, a retry click during loading) is ignored, so two
+ * scenes are never built on top of each other.
+ */
+
+/**
+ * Default fade duration in milliseconds (each way)
+ */
+export const FADE_DURATION = 300;
+
+/**
+ * How long messages shown by a transition stay up after it, in milliseconds
+ */
+const MESSAGE_DURATION = 2000;
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Time to wait
+ * @returns {Promise<void>} Resolves after the wait
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fades the screen out and in around scene loads
+ */
+export class SceneTransitionManager {
+  /**
+   * Creates a new SceneTransitionManager instance and adds its fade overlay to the page
+   * @param {Object} gameState - GameStateMachine of the game
+   * @param {Object} options - Transition options
+   * @param {function(string, number=): void} options.showMessage - Shows a message to the player,
+   *   hiding it after the given number of milliseconds (or leaving it up if omitted)
+   * @param {number} [options.fadeDuration] - Fade duration in milliseconds (each way)
+   */
+  constructor(gameState, { showMessage, fadeDuration = FADE_DURATION }) {
+    this.gameState = gameState;
+    this.showMessage = showMessage;
+    this.fadeDuration = fadeDuration;
+    this.running = false;
+
+    // Above the game canvas, below the message so transition messages stay readable
+    this.overlay = document.createElement('div');
+    Object.assign(this.overlay.style, {
+      position: 'absolute',
+      inset: '0',
+      background: '#000',
+      opacity: '0',
+      pointerEvents: 'none',
+      zIndex: '999',
+      transition: `opacity ${fadeDuration}ms ease`,
+    });
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * Fades the overlay to an opacity
+   * @param {number} opacity - Target opacity (1 hides the scene, 0 shows it)
+   * @returns {Promise<void>} Resolves when the fade has finished
+   */
+  fade(opacity) {
+    this.overlay.style.opacity = String(opacity);
+    // Block clicks on the scene while it is hidden
+    this.overlay.style.pointerEvents = opacity > 0 ? 'auto' : 'none';
+    return wait(this.fadeDuration);
+  }
+
+  /**
+   * Runs a load behind a fade, unless a transition is already running
+   * The game ends up in 'playing' even if the load fails (the error is passed on).
+   * @param {function(): Promise<string|void>} load - Builds the new scene; may resolve with a
+   *   message to show once the scene has faded in
+   * @param {Object} [options] - Transition options
+   * @param {string} [options.message] - Message shown while the scene fades out (e.g. "Teleporting...")
+   * @returns {Promise<boolean>} True if the transition ran, false if it was ignored
+   */
+  async run(load, { message } = {}) {
+    if (this.running) {
+      console.warn('[Transition] Ignored a transition request while another is running');
+      return false;
+    }
+    if (!this.gameState.transition('transitioning')) return false;
+
+    this.running = true;
+    let loadedMessage;
+    try {
+      if (message) this.showMessage(message);
+      await this.fade(1);
+      loadedMessage = await load();
+    } finally {
+      // The message shown while fading out is replaced, or hidden after a while
+      if (loadedMessage || message) this.showMessage(loadedMessage || message, MESSAGE_DURATION);
+      await this.fade(0);
+      // Input stays locked until the new scene is fully visible
+      this.gameState.transition('playing');
+      this.running = false;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,315 @@
+/**
+ * Storage Module
+ *
+ * Small async key-value store for everything the game keeps between visits
+ * (saves and preferences). Keys are namespaced so modules cannot collide:
+ * createStorage('save').set('slots', ...) stores the key "save:slots".
+ *
+ * Data lives in IndexedDB when it is available. Where it isn't (some private
+ * browsing modes, or a database that fails to open), localStorage is used
+ * instead, and failing that a memory store that lasts until the page is closed.
+ * Values must be JSON-compatible so that every backend can hold them.
+ */
+
+/**
+ * Name of the IndexedDB database
+ */
+const DB_NAME = 'cmpm121-g9-game';
+
+/**
+ * Name of the object store inside the database
+ */
+const STORE_NAME = 'keyval';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Storage backend using IndexedDB
+ */
+export class IndexedDBBackend {
+  /**
+   * Opens the game's database, creating it on first use
+   * @returns {Promise<IndexedDBBackend>} Backend for the open database
+   * @throws {Error} If IndexedDB is unavailable or the database cannot be opened
+   */
+  static open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(new IndexedDBBackend(request.result));
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+    });
+  }
+
+  /**
+   * Creates a new IndexedDBBackend instance
+   * @param {IDBDatabase} db - Open database
+   */
+  constructor(db) {
+    this.name = 'IndexedDB';
+    this.db = db;
+  }
+
+  /**
+   * Gets the object store in a new transaction
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @returns {IDBObjectStore} Object store
+   */
+  store(mode) {
+    return this.db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  /**
+   * Gets a value
+   * @param {string} key - Full key
+   * @returns {Promise<*>} Stored value, or null if there is none
+   */
+  async get(key) {
+    return (await promisifyRequest(this.store('readonly').get(key))) ?? null;
+  }
+
+  /**
+   * Stores a value
+   * @param {string} key - Full key
+   * @param {*} value - JSON-compatible value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await promisifyRequest(this.store('readwrite').put(value, key));
+  }
+
+  /**
+   * Removes a value
+   * @param {string} key - Full key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await promisifyRequest(this.store('readwrite').delete(key));
+  }
+
+  /**
+   * Lists stored keys
+   * @param {string} prefix - Only keys starting with this are returned
+   * @returns {Promise<string[]>} Matching keys
+   */
+  async keys(prefix) {
+    const keys = await promisifyRequest(this.store('readonly').getAllKeys());
+    return keys.filter(key => key.startsWith(prefix));
+  }
+}
+
+/**
+ * Storage backend using localStorage (values are stored as JSON text)
+ */
+export class LocalStorageBackend {
+  /**
+   * Creates a new LocalStorageBackend instance
+   * @throws {Error} If localStorage is unavailable or cannot be written to
+   */
+  constructor() {
+    this.name = 'localStorage';
+    // Private browsing modes may expose localStorage but reject every write
+    localStorage.setItem('storage-test', '1');
+    localStorage.removeItem('storage-test');
+  }
+
+  /**
+   * Gets a value
+   * @param {string} key - Full key
+   * @returns {Promise<*>} Stored value, or null if there is none
+   */
+  async get(key) {
+    const text = localStorage.getItem(key);
+    return text === null ? null : JSON.parse(text);
+  }
+
+  /**
+   * Stores a value
+   * @param {string} key - Full key
+   * @param {*} value - JSON-compatible value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  /**
+   * Removes a value
+   * @param {string} key - Full key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    localStorage.removeItem(key);
+  }
+
+  /**
+   * Lists stored keys
+   * @param {string} prefix - Only keys starting with this are returned
+   * @returns {Promise<string[]>} Matching keys
+   */
+  async keys(prefix) {
+    return Object.keys(localStorage).filter(key => key.startsWith(prefix));
+  }
+}
+
+/**
+ * Storage backend that keeps values in memory until the page is closed
+ */
+export class MemoryBackend {
+  /**
+   * Creates a new MemoryBackend instance
+   */
+  constructor() {
+    this.name = 'memory';
+    this.values = new Map();
+  }
+
+  /**
+   * Gets a value
+   * @param {string} key - Full key
+   * @returns {Promise<*>} Stored value, or null if there is none
+   */
+  async get(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  /**
+   * Stores a value
+   * @param {string} key - Full key
+   * @param {*} value - JSON-compatible value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.values.set(key, value);
+  }
+
+  /**
+   * Removes a value
+   * @param {string} key - Full key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.values.delete(key);
+  }
+
+  /**
+   * Lists stored keys
+   * @param {string} prefix - Only keys starting with this are returned
+   * @returns {Promise<string[]>} Matching keys
+   */
+  async keys(prefix) {
+    return [...this.values.keys()].filter(key => key.startsWith(prefix));
+  }
+}
+
+// Backend in use, chosen on first access
+let backendPromise = null;
+
+/**
+ * Picks the best available backend
+ * @returns {Promise<Object>} Storage backend
+ */
+async function openBackend() {
+  try {
+    const backend = await IndexedDBBackend.open();
+    console.log('[Storage] Using IndexedDB');
+    return backend;
+  } catch (error) {
+    console.warn('[Storage] IndexedDB unavailable, trying localStorage:', error?.message);
+  }
+
+  try {
+    const backend = new LocalStorageBackend();
+    console.log('[Storage] Using localStorage');
+    return backend;
+  } catch (error) {
+    console.warn('[Storage] localStorage unavailable, data will not persist:', error?.message);
+  }
+
+  return new MemoryBackend();
+}
+
+/**
+ * Gets the backend in use, opening it on first access
+ * @returns {Promise<Object>} Storage backend
+ */
+function getBackend() {
+  if (!backendPromise) backendPromise = openBackend();
+  return backendPromise;
+}
+
+/**
+ * Replaces the backend, e.g. with a MemoryBackend in tests
+ * @param {Object} backend - Object with async get, set, remove and keys methods
+ */
+export function setStorageBackend(backend) {
+  backendPromise = Promise.resolve(backend);
+}
+
+/**
+ * Creates a storage whose keys are kept apart from other namespaces
+ * @param {string} namespace - Namespace (e.g. 'save' or 'preferences')
+ * @returns {{get: Function, set: Function, remove: Function, keys: Function}} Async storage:
+ *   get(key) resolves to the value or null, set(key, value), remove(key), and keys()
+ *   resolves to every key in the namespace
+ */
+export function createStorage(namespace) {
+  const prefix = `${namespace}:`;
+  return {
+    async get(key) {
+      return (await getBackend()).get(prefix + key);
+    },
+
+    async set(key, value) {
+      await (await getBackend()).set(prefix + key, value);
+    },
+
+    async remove(key) {
+      await (await getBackend()).remove(prefix + key);
+    },
+
+    async keys() {
+      const keys = await (await getBackend()).keys(prefix);
+      return keys.map(key => key.slice(prefix.length));
+    },
+  };
+}
+
+/**
+ * Moves values that older versions of the game wrote straight to localStorage into a storage
+ * Each value is removed from localStorage once it has been stored.
+ * @param {Object} storage - Storage from createStorage
+ * @param {function(string): (string|null)} mapKey - Gets the storage key for a localStorage
+ *   key, or null to leave that key alone
+ * @returns {Promise<string[]>} Storage keys that received a value
+ */
+export async function adoptLocalStorageKeys(storage, mapKey) {
+  let legacyKeys;
+  try {
+    legacyKeys = Object.keys(localStorage);
+  } catch {
+    return []; // Nothing can have been stored without localStorage
+  }
+
+  const adopted = [];
+  for (const legacyKey of legacyKeys) {
+    const key = mapKey(legacyKey);
+    if (key === null) continue;
+
+    await storage.set(key, localStorage.getItem(legacyKey));
+    localStorage.removeItem(legacyKey);
+    adopted.push(key);
+  }
+  return adopted;
+}
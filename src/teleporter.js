@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
+import { disposeEntity } from './entityManager.js';
+import { events } from './events.js';
 
 /**
  * Teleporter class that manages the teleporter sensor
@@ -11,17 +13,24 @@ export class Teleporter {
    * @param {THREE.Scene} scene - The Three.js scene
    * @param {number} platformTop - The Y position of the platform top surface
    * @param {THREE.Vector3} position - Position of the teleporter (optional, defaults to top left corner)
+   * @param {Object} config - Teleporter configuration {sensorRadius, sensorHeight} (optional)
    */
-  constructor(world, scene, platformTop, position = new THREE.Vector3(-4, 0, -4)) {
+  constructor(world, scene, platformTop, position = new THREE.Vector3(-4, 0, -4), config = {}) {
+    this.world = world;
+    this.scene = scene;
+
+    const radius = config.sensorRadius ?? 0.5;
+    const height = config.sensorHeight ?? 0.8;
+
     // Create light blue cylindrical teleporter mesh
-    const teleporterGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.8, 16);
+    const teleporterGeometry = new THREE.CylinderGeometry(radius, radius, height, 16);
     const teleporterMaterial = new THREE.MeshBasicMaterial({
       color: 0x87ceeb, // Light blue color
       transparent: true,
       opacity: 0.7,
     });
     this.mesh = new THREE.Mesh(teleporterGeometry, teleporterMaterial);
-    this.mesh.position.set(position.x, platformTop + 0.4, position.z);
+    this.mesh.position.set(position.x, platformTop + height / 2, position.z);
     scene.add(this.mesh);
 
     // Create physics body as a sensor (non-solid but detects collisions)
@@ -31,11 +40,8 @@ export class Teleporter {
       this.mesh.position.z
     );
     this.body = world.createRigidBody(teleporterBodyDesc);
-    const teleporterColliderDesc = RAPIER.ColliderDesc.cylinder(0.4, 0.5).setSensor(true);
+    const teleporterColliderDesc = RAPIER.ColliderDesc.cylinder(height / 2, radius).setSensor(true);
     this.collider = world.createCollider(teleporterColliderDesc, this.body);
-
-    // Callback for when player enters teleporter
-    this.onPlayerEnter = null;
   }
 
   /**
@@ -54,8 +60,13 @@ export class Teleporter {
    * Trigger the teleporter event
    */
   trigger() {
-    if (this.onPlayerEnter) {
-      this.onPlayerEnter();
-    }
+    events.emit('teleporter:entered', { teleporter: this });
+  }
+
+  /**
+   * Removes the teleporter from the physics world and the scene
+   */
+  dispose() {
+    disposeEntity(this);
   }
 }
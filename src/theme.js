@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { events } from './events.js';
 
 /**
  * Theme configuration with colors for light and dark modes
@@ -124,8 +125,8 @@ export function setTheme(theme) {
   currentTheme = theme;
   applyTheme(theme);
 
-  // Dispatch event so other modules can react to theme changes
-  window.dispatchEvent(new CustomEvent('themeChanged', { detail: { theme } }));
+  // Let other modules react to theme changes
+  events.emit('theme:changed', { theme });
 }
 
 /**
@@ -28,31 +28,93 @@ export function showMessage(messageElement, text) {
 }
 
 /**
- * Checks if the block is at the goal
- * @param {Object} physicsObjects - Physics objects (block, goal)
- * @returns {boolean} True if block is at goal, false otherwise
+ * Checks if any block is at any goal
+ * @param {Object} entities - EntityManager of the current scene
+ * @returns {boolean} True if a block is at a goal, false otherwise
  */
-export function checkBlockGoal(physicsObjects) {
-  return physicsObjects.block?.isAtGoal(physicsObjects.goal?.mesh) ?? false;
+export function checkBlockGoal(entities) {
+  const goals = entities.getByTag('goal');
+  return entities
+    .getByTag('block')
+    .some(block => goals.some(goal => block.isAtGoal(goal.mesh, goal.threshold)));
 }
 
 /**
- * Checks if the game is over (player or block is off the platform)
- * @param {Object} physicsObjects - Physics objects (block, player, platform)
+ * Checks if the game is over (the player or a block is off the platform)
+ * @param {Object} entities - EntityManager of the current scene
  * @param {HTMLElement} messageElement - The message DOM element
- * @returns {boolean} True if player or block is off the platform, false otherwise
+ * @returns {boolean} True if the player or a block is off the platform, false otherwise
  */
-export function isGameOver(physicsObjects, messageElement) {
-  const platformHalfSize = physicsObjects.platform?.halfSize;
-  if (!platformHalfSize) return false;
+export function isGameOver(entities, messageElement) {
+  const platform = entities.first('platform');
+  if (!platform) return false;
 
-  if (
-    physicsObjects.block?.isOffPlatform(platformHalfSize) ||
-    physicsObjects.player?.isOffPlatform(platformHalfSize)
-  ) {
+  const fallen = [...entities.getByTag('block'), ...entities.getByTag('player')];
+  if (fallen.some(entity => entity.isOffPlatform(platform))) {
     showMessage(messageElement, t('game.lose'));
     return true;
   }
 
   return false;
 }
+
+/**
+ * Offers data to the user as a JSON file download
+ * @param {Object} data - Data to save
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadJson(data, fileName) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Turns a timestamp into text that can be used in a file name
+ * @param {string} isoDate - ISO 8601 date and time
+ * @returns {string} Timestamp without characters that file systems reject
+ */
+export function toFileTimestamp(isoDate) {
+  return isoDate.replace(/[:.]/g, '-');
+}
+
+/**
+ * Creates a function that delays calls until they stop coming for a while
+ * @param {Function} fn - Function to call
+ * @param {number} wait - Milliseconds without calls before fn runs
+ * @returns {Function} Debounced function, with flush() to run a pending call now
+ *   and cancel() to drop it
+ */
+export function debounce(fn, wait) {
+  let timer = null;
+  let pendingArgs = null;
+
+  const run = () => {
+    const args = pendingArgs;
+    timer = null;
+    pendingArgs = null;
+    fn(...args);
+  };
+
+  const debounced = (...args) => {
+    pendingArgs = args;
+    clearTimeout(timer);
+    timer = setTimeout(run, wait);
+  };
+  debounced.flush = () => {
+    if (!timer) return;
+    clearTimeout(timer);
+    run();
+  };
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+    pendingArgs = null;
+  };
+  return debounced;
+}
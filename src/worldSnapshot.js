@@ -0,0 +1,94 @@
+/**
+ * World Snapshot Module
+ *
+ * Captures and restores the complete Rapier world for undo: every body's
+ * position, rotation, velocity and sleeping state. Snapshots are kept as base64
+ * strings so history entries can be saved as JSON. getBodyState/setBodyState
+ * capture a single body instead, for saves that are loaded into a rebuilt scene.
+ *
+ * Restoring creates a new World in which bodies and colliders keep their
+ * handles, so entities are re-attached to it by handle (see bindPhysicsHandles).
+ */
+
+import * as RAPIER from '@dimforge/rapier3d';
+import { encodeBytes, decodeBytes } from './base64.js';
+
+/**
+ * Takes a snapshot of the whole physics world
+ * @param {RAPIER.World} world - World to capture
+ * @returns {string} Base64-encoded snapshot
+ */
+export function takeWorldSnapshot(world) {
+  return encodeBytes(world.takeSnapshot());
+}
+
+/**
+ * Creates a new physics world from a snapshot
+ * @param {string} snapshot - Base64-encoded snapshot from takeWorldSnapshot
+ * @returns {RAPIER.World} New world identical to the captured one
+ */
+export function restoreWorldSnapshot(snapshot) {
+  return RAPIER.World.restoreSnapshot(decodeBytes(snapshot));
+}
+
+/**
+ * Gets the handles of an entity's rigid body and collider
+ * @param {Object} entity - Game entity with optional body and collider
+ * @returns {{body: number|null, collider: number|null}} Handles (null if the entity has none)
+ */
+export function getPhysicsHandles(entity) {
+  return {
+    body: entity.body ? entity.body.handle : null,
+    collider: entity.collider ? entity.collider.handle : null,
+  };
+}
+
+/**
+ * Re-attaches an entity to the body and collider with the given handles in a restored world
+ * @param {Object} entity - Game entity to update
+ * @param {RAPIER.World} world - Restored world
+ * @param {{body: number|null, collider: number|null}} handles - Handles from getPhysicsHandles
+ */
+export function bindPhysicsHandles(entity, world, handles) {
+  entity.body = handles.body === null ? null : world.getRigidBody(handles.body);
+  entity.collider = handles.collider === null ? null : world.getCollider(handles.collider);
+  if ('world' in entity) entity.world = world;
+}
+
+/**
+ * Copies a vector-like value into a plain object
+ * @param {{x: number, y: number, z: number}} vector - Rapier vector
+ * @returns {{x: number, y: number, z: number}} Plain vector
+ */
+function toPlainVector({ x, y, z }) {
+  return { x, y, z };
+}
+
+/**
+ * Gets the state of a single rigid body for saving
+ * Unlike a world snapshot, this can be applied to a body in a freshly built scene.
+ * @param {RAPIER.RigidBody} body - Body to capture
+ * @returns {{position: Object, rotation: Object, linearVelocity: Object, angularVelocity: Object}}
+ *   Body state as plain objects
+ */
+export function getBodyState(body) {
+  const { x, y, z, w } = body.rotation();
+  return {
+    position: toPlainVector(body.translation()),
+    rotation: { x, y, z, w },
+    linearVelocity: toPlainVector(body.linvel()),
+    angularVelocity: toPlainVector(body.angvel()),
+  };
+}
+
+/**
+ * Applies a state from getBodyState to a rigid body
+ * @param {RAPIER.RigidBody} body - Body to update
+ * @param {Object} state - Body state (only position is required)
+ */
+export function setBodyState(body, state) {
+  body.setTranslation(state.position, true);
+  if (state.rotation) body.setRotation(state.rotation, true);
+  if (state.linearVelocity) body.setLinvel(state.linearVelocity, true);
+  if (state.angularVelocity) body.setAngvel(state.angularVelocity, true);
+}
@@ -0,0 +1,73 @@
+/**
+ * World State Store
+ *
+ * Remembers the state of the scenes the player has left, so going back to a
+ * scene finds it as it was: blocks where they were pushed, keys picked up or
+ * lying where they were, doors open. Each scene's state holds the serialized
+ * entities (see EntityManager.serialize) and the ids of the keys that have
+ * appeared. The player is not stored; it enters a scene at the level's start
+ * position.
+ *
+ * The store is part of saved games, so progress in every scene survives a reload.
+ */
+
+/**
+ * Saved states of the scenes the player has left
+ */
+export class WorldStateStore {
+  /**
+   * Creates a new, empty WorldStateStore instance
+   */
+  constructor() {
+    this.scenes = new Map();
+  }
+
+  /**
+   * Stores the state of a scene, replacing any earlier one
+   * @param {number} sceneNumber - Scene the state belongs to
+   * @param {{entities: Object, spawnedKeys: Array<string>}} state - Scene state
+   */
+  save(sceneNumber, state) {
+    this.scenes.set(sceneNumber, state);
+  }
+
+  /**
+   * Gets the stored state of a scene
+   * @param {number} sceneNumber - Scene number
+   * @returns {{entities: Object, spawnedKeys: Array<string>}|null} Scene state, or null if the
+   *   player has not left the scene yet
+   */
+  get(sceneNumber) {
+    return this.scenes.get(sceneNumber) ?? null;
+  }
+
+  /**
+   * Forgets every scene, e.g. when a new game starts
+   */
+  clear() {
+    this.scenes.clear();
+  }
+
+  /**
+   * Gets the stored states for a save file
+   * @returns {Object<string, Object>} Scene states by scene number
+   */
+  serialize() {
+    return Object.fromEntries(this.scenes);
+  }
+
+  /**
+   * Replaces the stored states with those of a save file
+   * @param {Object<string, Object>} [data] - Scene states by scene number
+   */
+  deserialize(data = {}) {
+    this.scenes = new Map(
+      Object.entries(data).map(([sceneNumber, state]) => [Number(sceneNumber), state])
+    );
+  }
+}
+
+/**
+ * World state store shared by the whole game
+ */
+export const worldState = new WorldStateStore();
@@ -1,9 +1,33 @@
+import path from 'path';
 import { defineConfig } from 'vite';
 import wasm from 'vite-plugin-wasm';
 import topLevelAwait from 'vite-plugin-top-level-await';
 
+/**
+ * Dev-server plugin that pushes edits of physics-config*.json files in public/
+ * to the running game as a `physics-config:update` event, so physics can be
+ * re-tuned without a full page reload
+ */
+function physicsConfigHotReload() {
+  return {
+    name: 'physics-config-hot-reload',
+    apply: 'serve',
+    hotUpdate({ file }) {
+      if (this.environment.name !== 'client') return;
+
+      const publicDir = path.resolve(this.environment.config.publicDir);
+      const filePath = path.resolve(file);
+      if (!filePath.startsWith(publicDir) || !/physics-config[^/\\]*\.json$/.test(filePath)) return;
+
+      const url = '/' + path.relative(publicDir, filePath).split(path.sep).join('/');
+      this.environment.hot.send({ type: 'custom', event: 'physics-config:update', data: { url } });
+      return [];
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [wasm(), topLevelAwait()],
+  plugins: [wasm(), topLevelAwait(), physicsConfigHotReload()],
   optimizeDeps: {
     exclude: ['@dimforge/rapier3d'],
   },